@@ -0,0 +1,220 @@
+const http = require('http');
+const crypto = require('crypto');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { cleanupChannel } = require('./asterisk');
+const { getRtpStats } = require('./rtp');
+const { getTranscript, recordTurn } = require('./transcript');
+const { NoCapacityError, originateCall } = require('./outbound');
+const { startCampaign, stopCampaign, getCampaign, listCampaigns } = require('./campaign');
+const { listWaitingCalls } = require('./admission');
+
+logger.info('Loading admin-api.js module');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  const data = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+  res.end(data);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (body.trim() === '') return resolve({});
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function isAuthorized(req) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const expected = Buffer.from(config.ADMIN_API_TOKEN);
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function describeCall(channelData) {
+  const callConfig = channelData.config || config;
+  return {
+    channelId: channelData.channelId,
+    direction: channelData.direction || 'inbound',
+    callerId: channelData.callerId || { number: '', name: '' },
+    extension: channelData.extension || '',
+    provider: callConfig.AI_PROVIDER,
+    profile: callConfig.PROFILE || null,
+    rtpPort: channelData.rtpPort,
+    startTime: channelData.startTime ? channelData.startTime.toISOString() : null,
+    durationSeconds: channelData.startTime ? Math.round((Date.now() - channelData.startTime) / 1000) : 0,
+    wsState: channelData.provider ? channelData.provider.state : 'closed',
+    muted: channelData.streamHandler ? channelData.streamHandler.isMuted() : false,
+    rtp: getRtpStats(channelData)
+  };
+}
+
+function getCall(channelId) {
+  const channelData = sipMap.get(channelId);
+  if (!channelData) {
+    throw new HttpError(404, `Call ${channelId} not found`);
+  }
+  return channelData;
+}
+
+function getCampaignOrThrow(id) {
+  const campaign = getCampaign(id);
+  if (!campaign) {
+    throw new HttpError(404, `Campaign ${id} not found`);
+  }
+  return campaign;
+}
+
+// Route table: [method, path pattern, handler(req, params)]
+const routes = [
+  ['GET', /^\/calls$/, async () => ({ calls: [...sipMap.values()].map(describeCall) })],
+  ['POST', /^\/calls$/, async (req) => {
+    const body = await readJsonBody(req);
+    if (!body.number && !body.endpoint) {
+      throw new HttpError(400, 'Body must contain "number" or "endpoint"');
+    }
+    if (body.variables !== undefined && (typeof body.variables !== 'object' || Array.isArray(body.variables))) {
+      throw new HttpError(400, '"variables" must be an object');
+    }
+    let call;
+    try {
+      call = await originateCall(body);
+    } catch (e) {
+      throw new HttpError(e instanceof NoCapacityError ? 503 : 502, e.message);
+    }
+    logger.info(`Admin API: outbound call ${call.channelId} to ${call.endpoint}`);
+    return { channelId: call.channelId, endpoint: call.endpoint, status: 'originating' };
+  }],
+  ['GET', /^\/calls\/([^/]+)$/, async (req, [channelId]) => describeCall(getCall(channelId))],
+  ['GET', /^\/calls\/([^/]+)\/transcript$/, async (req, [channelId]) => {
+    getCall(channelId);
+    return { channelId, transcript: getTranscript(channelId) };
+  }],
+  ['POST', /^\/calls\/([^/]+)\/hangup$/, async (req, [channelId]) => {
+    const channelData = getCall(channelId);
+    channelData.endReason = 'admin_hangup';
+    logger.info(`Admin API: hanging up call ${channelId}`);
+    await cleanupChannel(channelId);
+    return { channelId, status: 'hungup' };
+  }],
+  ['POST', /^\/calls\/([^/]+)\/instruct$/, async (req, [channelId]) => {
+    const channelData = getCall(channelId);
+    const { text } = await readJsonBody(req);
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new HttpError(400, 'Body must contain a non-empty "text"');
+    }
+    if (!channelData.provider || !channelData.provider.sendText(text, { instruction: true })) {
+      throw new HttpError(409, `AI session for ${channelId} is not connected`);
+    }
+    logger.info(`Admin API: instruction sent to ${channelId}: ${text}`);
+    recordTurn(channelId, 'system', text, { source: 'admin' });
+    return { channelId, status: 'sent' };
+  }],
+  ['POST', /^\/calls\/([^/]+)\/mute$/, async (req, [channelId]) => {
+    const channelData = getCall(channelId);
+    if (!channelData.streamHandler) {
+      throw new HttpError(409, `Playback for ${channelId} is not set up yet`);
+    }
+    const { muted } = await readJsonBody(req);
+    const value = typeof muted === 'boolean' ? muted : !channelData.streamHandler.isMuted();
+    channelData.streamHandler.setMuted(value);
+    return { channelId, muted: value };
+  }],
+  ['GET', /^\/queue$/, async () => ({ waiting: listWaitingCalls() })],
+  ['GET', /^\/campaigns$/, async () => ({ campaigns: listCampaigns() })],
+  ['POST', /^\/campaigns$/, async (req) => {
+    const body = await readJsonBody(req);
+    if (typeof body.csv !== 'string' && typeof body.file !== 'string') {
+      throw new HttpError(400, 'Body must contain "csv" or "file"');
+    }
+    try {
+      return await startCampaign(body);
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+  }],
+  ['GET', /^\/campaigns\/([^/]+)$/, async (req, [id]) => getCampaignOrThrow(id)],
+  ['POST', /^\/campaigns\/([^/]+)\/stop$/, async (req, [id]) => {
+    getCampaignOrThrow(id);
+    return stopCampaign(id);
+  }]
+];
+
+async function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (!isAuthorized(req)) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+  const pathMatches = routes.filter(([, pattern]) => pattern.test(pathname));
+  if (pathMatches.length === 0) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+  const route = pathMatches.find(([method]) => method === req.method);
+  if (!route) {
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+  const params = pathname.match(route[1]).slice(1).map(decodeURIComponent);
+  try {
+    sendJson(res, 200, await route[2](req, params));
+  } catch (e) {
+    if (e instanceof HttpError) {
+      sendJson(res, e.status, { error: e.message });
+    } else {
+      logger.error(`Admin API error on ${req.method} ${pathname}: ${e.message}`);
+      sendJson(res, 500, { error: 'Internal error' });
+    }
+  }
+}
+
+/**
+ * Start the admin HTTP API if ADMIN_API_PORT is set
+ * The API refuses to start without ADMIN_API_TOKEN.
+ * @returns {http.Server|null}
+ */
+function startAdminApi() {
+  if (!config.ADMIN_API_PORT) {
+    return null;
+  }
+  if (!config.ADMIN_API_TOKEN) {
+    logger.error('ADMIN_API_PORT is set but ADMIN_API_TOKEN is empty, admin API not started');
+    return null;
+  }
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((e) => {
+      logger.error(`Admin API request failed: ${e.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: 'Internal error' });
+    });
+  });
+  server.on('error', e => logger.error(`Admin API server error: ${e.message}`));
+  server.listen(config.ADMIN_API_PORT, config.ADMIN_API_HOST, () => {
+    logger.info(`Admin API listening on ${config.ADMIN_API_HOST}:${config.ADMIN_API_PORT}`);
+  });
+  return server;
+}
+
+module.exports = { startAdminApi };
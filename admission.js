@@ -0,0 +1,191 @@
+const { config, logger } = require('./config');
+const { sipMap, waitingCalls } = require('./state');
+const { getNextRtpPort, rtpEvents } = require('./rtp');
+const { metrics } = require('./metrics');
+
+logger.info('Loading admission.js module');
+
+// Position announcements from Asterisk's core sounds, as app_queue plays them
+const SOUND_YOU_ARE_NEXT = 'sound:queue-youarenext';
+const SOUND_CALLER_NUMBER = 'sound:queue-thereare'; // "You are currently caller number"
+const SOUND_WAITING = 'sound:queue-callswaiting'; // "waiting to speak to a representative"
+
+let ariClient = null;
+
+/**
+ * Enable admission control on a connected ARI client
+ * Waiting callers are admitted in arrival order as RTP ports are released.
+ * @param {Object} client - Connected ari-client instance
+ */
+function startAdmission(client) {
+  ariClient = client;
+  rtpEvents.on('portReleased', admitWaiting);
+  ariClient.on('StasisEnd', (evt, channel) => leaveQueue(channel.id, 'abandoned'));
+}
+
+/**
+ * Reserve a call slot (an RTP port) for a new inbound call
+ * Above MAX_CONCURRENT_CALLS, with OVERFLOW_ACTION=queue, the caller is answered and waits with
+ * music on hold and position announcements until a slot frees up.
+ * @param {Object} channel - ari-client Channel of the caller
+ * @returns {Promise<Object>} - { port, queued } once admitted, { port: null, reason } otherwise, with
+ *   reason 'full' (not queued), 'queue_full', 'timeout' or 'abandoned' (caller hung up while waiting)
+ */
+async function admitCall(channel) {
+  const port = reserveCall();
+  if (port !== null) {
+    return { port, queued: false };
+  }
+  if (config.OVERFLOW_ACTION !== 'queue') {
+    return { port: null, reason: 'full' };
+  }
+  if (config.QUEUE_MAX_LENGTH > 0 && waitingCalls.size >= config.QUEUE_MAX_LENGTH) {
+    logger.warn(`Waiting queue full (${waitingCalls.size} callers), not queueing ${channel.id}`);
+    return { port: null, reason: 'queue_full' };
+  }
+  return new Promise((resolve) => {
+    const entry = { channel, since: Date.now(), resolve, timeout: null, announceTimer: null, wake: null, playbackId: null, onHold: false };
+    waitingCalls.set(channel.id, entry);
+    metrics.overflowCalls.inc({ action: 'queued' });
+    logger.info(`All ${config.MAX_CONCURRENT_CALLS} call slots in use, ${channel.id} waiting at position ${waitingCalls.size}`);
+    if (config.QUEUE_TIMEOUT_SECONDS > 0) {
+      entry.timeout = setTimeout(() => leaveQueue(channel.id, 'timeout'), config.QUEUE_TIMEOUT_SECONDS * 1000);
+    }
+    holdCaller(entry).catch((e) => {
+      logger.error(`Error holding ${channel.id} in the waiting queue: ${e.message}`);
+    });
+  });
+}
+
+/**
+ * Reserve a call slot right away, for an outbound call before it is dialed
+ * Waiting callers come first, so there is no slot while anyone is in the queue.
+ * @returns {number|null} - RTP port of the call, null when every slot is taken
+ */
+function reserveCall() {
+  if (waitingCalls.size > 0 || sipMap.size >= config.MAX_CONCURRENT_CALLS) {
+    return null;
+  }
+  return getNextRtpPort();
+}
+
+/**
+ * Wait until a call slot may have freed up
+ * @param {number} timeoutMs - Longest wait
+ * @returns {Promise<void>} - Resolves when a port is released or after timeoutMs
+ */
+function waitForCallSlot(timeoutMs) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      rtpEvents.off('portReleased', done);
+      resolve();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    rtpEvents.on('portReleased', done);
+  });
+}
+
+// Answer a waiting caller, then music on hold with an announcement of their position every interval
+async function holdCaller(entry) {
+  const channelId = entry.channel.id;
+  const waiting = () => waitingCalls.get(channelId) === entry;
+  await ariClient.channels.answer({ channelId });
+  while (waiting()) {
+    if (config.QUEUE_ANNOUNCE_INTERVAL_SECONDS > 0) {
+      await announcePosition(entry);
+    }
+    if (!waiting()) return;
+    await ariClient.channels.startMoh({ channelId, mohClass: config.QUEUE_MOH_CLASS });
+    if (!waiting()) {
+      await ariClient.channels.stopMoh({ channelId });
+      return;
+    }
+    entry.onHold = true;
+    if (config.QUEUE_ANNOUNCE_INTERVAL_SECONDS <= 0) return;
+    await new Promise((resolve) => {
+      entry.announceTimer = setTimeout(resolve, config.QUEUE_ANNOUNCE_INTERVAL_SECONDS * 1000);
+      entry.wake = resolve;
+    });
+    if (!waiting()) return;
+    await ariClient.channels.stopMoh({ channelId });
+    entry.onHold = false;
+  }
+}
+
+async function announcePosition(entry) {
+  const channelId = entry.channel.id;
+  const position = [...waitingCalls.keys()].indexOf(channelId) + 1;
+  const media = position === 1 ? [SOUND_YOU_ARE_NEXT] : [SOUND_CALLER_NUMBER, `number:${position}`, SOUND_WAITING];
+  const playback = ariClient.Playback();
+  entry.playbackId = playback.id;
+  await new Promise((resolve) => {
+    const timer = setTimeout(resolve, 15000);
+    playback.once('PlaybackFinished', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    ariClient.channels.play({ channelId, media: media.join(','), playbackId: playback.id }).catch((e) => {
+      logger.error(`Error announcing queue position to ${channelId}: ${e.message}`);
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+  entry.playbackId = null;
+}
+
+/**
+ * Take a caller out of the waiting queue
+ * @param {string} channelId - Channel ID of the waiting caller
+ * @param {string} outcome - 'admitted', 'abandoned' or 'timeout'
+ * @param {number} [port] - RTP port reserved for an admitted caller
+ */
+function leaveQueue(channelId, outcome, port = null) {
+  const entry = waitingCalls.get(channelId);
+  if (!entry) return;
+  waitingCalls.delete(channelId);
+  clearTimeout(entry.timeout);
+  clearTimeout(entry.announceTimer);
+  if (entry.wake) entry.wake();
+  const waitedSeconds = (Date.now() - entry.since) / 1000;
+  metrics.queueExits.inc({ outcome });
+  logger.info(`Caller ${channelId} left the waiting queue after ${waitedSeconds.toFixed(1)}s: ${outcome}`);
+  if (outcome !== 'abandoned') {
+    if (entry.playbackId) {
+      ariClient.playbacks.stop({ playbackId: entry.playbackId }).catch(() => {});
+    }
+    if (entry.onHold) {
+      ariClient.channels.stopMoh({ channelId }).catch((e) => {
+        logger.warn(`Error stopping music on hold for ${channelId}: ${e.message}`);
+      });
+    }
+  }
+  if (outcome === 'admitted') {
+    metrics.queueWait.observe(waitedSeconds);
+    entry.resolve({ port, queued: true });
+  } else {
+    entry.resolve({ port: null, reason: outcome });
+  }
+}
+
+// A slot was freed: hand it to the longest waiting caller
+function admitWaiting() {
+  for (const channelId of waitingCalls.keys()) {
+    const port = getNextRtpPort();
+    if (port === null) return;
+    leaveQueue(channelId, 'admitted', port);
+  }
+}
+
+// Waiting callers in queue order, for the admin API
+function listWaitingCalls() {
+  const now = Date.now();
+  return [...waitingCalls.values()].map((entry, index) => ({
+    channelId: entry.channel.id,
+    position: index + 1,
+    callerId: { number: entry.channel.caller?.number || '', name: entry.channel.caller?.name || '' },
+    waitingSeconds: Math.round((now - entry.since) / 1000)
+  }));
+}
+
+module.exports = { startAdmission, admitCall, reserveCall, waitForCallSlot, listWaitingCalls };
@@ -0,0 +1,340 @@
+const { config, logger } = require('./config');
+const { sipMap, cleanupPromises } = require('./state');
+const { streamAudio, rtpEvents } = require('./rtp');
+const { MEDIA_FORMATS, createConverter, isSilence, bytesForMs, audioDurationMs } = require('./audio-converter');
+const { executeTool, shouldFollowUp } = require('./tools');
+const { recordTurn, getTranscript } = require('./transcript');
+const { metrics } = require('./metrics');
+const { createProvider } = require('./providers');
+const { buildFailoverConfig } = require('./profiles');
+const { VoiceActivityDetector } = require('./vad');
+
+logger.info('Loading ai-session.js module');
+
+/**
+ * Wait for the assistant's current reply to finish playing on a channel
+ * @param {string} channelId - SIP channel ID
+ * @param {number} [maxWaitTime] - Maximum time to wait for the RTP buffer to drain (ms)
+ * @param {number} [checkInterval] - Polling interval (ms)
+ * @returns {Promise<boolean>} - false if the buffer did not drain in time
+ */
+async function waitForBufferEmpty(channelId, maxWaitTime = 6000, checkInterval = 10) {
+  const channelData = sipMap.get(channelId);
+  if (!channelData?.streamHandler) {
+    logger.info(`No streamHandler for ${channelId}, proceeding`);
+    return true;
+  }
+  const streamHandler = channelData.streamHandler;
+  const startWaitTime = Date.now();
+
+  const mediaFormat = channelData.mediaFormat || MEDIA_FORMATS.ulaw;
+  const estimatedMs = audioDurationMs(mediaFormat, channelData.totalDeltaBytes || 0);
+  let expectedMs = 1000; // Default minimum
+  if (channelData.totalDeltaBytes) {
+    expectedMs = Math.ceil(estimatedMs) + 500; // Audio duration + 500ms margin
+  }
+  const dynamicTimeout = Math.min(expectedMs, maxWaitTime);
+  logger.info(`Using dynamic timeout of ${dynamicTimeout}ms for ${channelId} (estimated audio duration: ${estimatedMs / 1000}s)`);
+
+  if (!streamHandler.isPlaying()) {
+    logger.info(`No audio playing for ${channelId}, proceeding`);
+    return true;
+  }
+
+  let audioFinishedReceived = false;
+  let onAudioFinished;
+  const audioFinishedPromise = new Promise((resolve) => {
+    onAudioFinished = (id) => {
+      if (id === channelId) {
+        logger.info(`Audio finished sending for ${channelId} after ${Date.now() - startWaitTime}ms`);
+        audioFinishedReceived = true;
+        rtpEvents.off('audioFinished', onAudioFinished);
+        resolve();
+      }
+    };
+    rtpEvents.on('audioFinished', onAudioFinished);
+  });
+
+  const isBufferEmpty = () => (
+    (!streamHandler.audioBuffer || streamHandler.audioBuffer.length === 0) &&
+    (!streamHandler.packetQueue || streamHandler.packetQueue.length === 0)
+  );
+  if (!isBufferEmpty()) {
+    let lastLogTime = 0;
+    while (!isBufferEmpty() && (Date.now() - startWaitTime) < maxWaitTime) {
+      const now = Date.now();
+      if (now - lastLogTime >= 50) {
+        logger.info(`Waiting for RTP buffer to empty for ${channelId} | Buffer: ${streamHandler.audioBuffer?.length || 0} bytes, Queue: ${streamHandler.packetQueue?.length || 0} packets`);
+        lastLogTime = now;
+      }
+      await new Promise(resolve => setTimeout(resolve, checkInterval));
+    }
+    if (!isBufferEmpty()) {
+      logger.warn(`Timeout waiting for RTP buffer to empty for ${channelId} after ${maxWaitTime}ms`);
+      rtpEvents.off('audioFinished', onAudioFinished);
+      return false;
+    }
+    logger.info(`RTP buffer emptied for ${channelId} after ${Date.now() - startWaitTime}ms`);
+  }
+
+  const timeoutPromise = new Promise((resolve) => {
+    setTimeout(() => {
+      if (!audioFinishedReceived) {
+        logger.warn(`Timeout waiting for audioFinished for ${channelId} after ${dynamicTimeout}ms`);
+        rtpEvents.off('audioFinished', onAudioFinished);
+      }
+      resolve();
+    }, dynamicTimeout);
+  });
+  await Promise.race([audioFinishedPromise, timeoutPromise]);
+
+  logger.info(`waitForBufferEmpty completed for ${channelId} in ${Date.now() - startWaitTime}ms`);
+  return true;
+}
+
+/**
+ * Providers to try for a call: its own provider first, then the rest of FAILOVER_CHAIN
+ * @param {Object} callConfig - Per-call configuration
+ * @returns {string[]}
+ */
+function getProviderChain(callConfig) {
+  return [callConfig.AI_PROVIDER, ...config.FAILOVER_CHAIN.filter(name => name !== callConfig.AI_PROVIDER)];
+}
+
+/**
+ * Connect a call to the AI provider chosen by its call config
+ * Provider events are wired to RTP playback, the call transcript, tools and metrics. When a
+ * provider fails, the call moves to the next provider of FAILOVER_CHAIN, seeded with the
+ * transcript so far. When no provider is left, onAllFailed is called.
+ * @param {string} channelId - SIP channel ID
+ * @param {Object} [options] - Session options
+ * @param {Function} [options.onAllFailed] - async (channelId) => void, called when every provider failed
+ * @returns {Promise<void>} - Resolves once a provider session is set up or every provider failed
+ */
+async function startAISession(channelId, { onAllFailed = null } = {}) {
+  const channelData = sipMap.get(channelId);
+  if (!channelData) {
+    throw new Error(`Channel ${channelId} not found in sipMap`);
+  }
+  const callConfig = channelData.config || config;
+  const chain = getProviderChain(callConfig);
+  const mediaFormat = channelData.mediaFormat || MEDIA_FORMATS.ulaw;
+  const rtpSource = channelData.rtpSource || { address: '127.0.0.1', port: 12000 };
+  const streamHandler = await streamAudio(channelId, rtpSource, mediaFormat);
+  channelData.streamHandler = streamHandler;
+  channelData.totalDeltaBytes = 0;
+
+  let chainIndex = -1;
+  let audioStarted = false;
+  let newTurn = true;
+  let speechStoppedAt = null;
+  let outputConverter = null;
+  // Set when the caller barged in locally during a reply: the rest of it is dropped until the
+  // provider ends or interrupts it
+  let discardReply = false;
+  const pendingToolCalls = new Map(); // call id -> AbortController
+
+  // Stop playback, and have the provider forget the part of each cut-off item the caller never heard
+  const cutPlayback = () => {
+    for (const { itemId, playedMs } of streamHandler.stopPlayback()) {
+      if (channelData.provider) {
+        channelData.provider.truncateAudio(itemId, playedMs);
+      }
+    }
+    // Don't let the filter tail of the cut-off reply leak into the next one
+    if (outputConverter) {
+      outputConverter.reset();
+    }
+  };
+
+  // Events of replaced providers are ignored
+  const attach = (provider) => {
+    const isCurrent = () => channelData.provider === provider;
+    outputConverter = createConverter(provider.outputFormat, mediaFormat);
+
+    provider.on('audio', (chunk, itemId = null) => {
+      if (!isCurrent() || !sipMap.has(channelId) || discardReply) return;
+      if (speechStoppedAt) {
+        metrics.responseLatency.observe((Date.now() - speechStoppedAt) / 1000, { provider: provider.name });
+        speechStoppedAt = null;
+      }
+      const audio = outputConverter.convert(chunk);
+      if (audio.length === 0 || isSilence(audio, mediaFormat)) {
+        logger.warn(`Received empty or silent audio for ${channelId}`);
+        return;
+      }
+      if (newTurn) {
+        channelData.totalDeltaBytes = 0;
+        newTurn = false;
+      }
+      channelData.totalDeltaBytes += audio.length;
+
+      if (!audioStarted) {
+        const silenceDurationMs = callConfig.SILENCE_PADDING_MS || 100;
+        const silencePackets = Math.ceil(silenceDurationMs / 20);
+        // Queued apart from the item, so it does not count as heard audio on truncation
+        streamHandler.sendRtpPacket(Buffer.alloc(bytesForMs(mediaFormat, silencePackets * 20), mediaFormat.silenceByte));
+        audioStarted = true;
+        logger.info(`Prepended ${silencePackets} silence packets (${silenceDurationMs} ms) for ${channelId}`);
+      }
+      streamHandler.sendRtpPacket(audio, itemId);
+    });
+
+    provider.on('interrupted', () => {
+      if (!isCurrent()) return;
+      cutPlayback();
+      discardReply = false;
+      newTurn = true;
+    });
+    provider.on('speechStopped', () => {
+      if (isCurrent()) speechStoppedAt = Date.now();
+    });
+    provider.on('turnComplete', () => {
+      newTurn = true;
+      if (isCurrent()) discardReply = false;
+    });
+    provider.on('transcript', ({ role, text }) => {
+      if (isCurrent()) recordTurn(channelId, role, text);
+    });
+
+    provider.on('toolCalls', (calls) => {
+      (async () => {
+        const results = await Promise.all(calls.map(async ({ id, name, args }) => {
+          const controller = new AbortController();
+          pendingToolCalls.set(id, controller);
+          const output = await executeTool(name, args, { channelId, callId: id, signal: controller.signal });
+          if (!pendingToolCalls.has(id)) {
+            logger.info(`Tool call ${name} (${id}) was cancelled for ${channelId}, dropping result`);
+            return null;
+          }
+          pendingToolCalls.delete(id);
+          return { id, name, output, followUp: shouldFollowUp(name) };
+        }));
+        const completed = results.filter(Boolean);
+        if (completed.length === 0) return;
+        if (!isCurrent() || !provider.isOpen()) {
+          logger.warn(`${provider.name} session closed before tool results could be sent for ${channelId}`);
+          return;
+        }
+        provider.sendToolResults(completed);
+      })().catch(e => logger.error(`Error handling tool call for ${channelId}: ${e.message}`));
+    });
+
+    provider.on('toolCallsCancelled', (ids) => {
+      for (const id of ids) {
+        const controller = pendingToolCalls.get(id);
+        if (controller) {
+          controller.abort();
+          pendingToolCalls.delete(id);
+          logger.info(`Tool call ${id} cancelled for ${channelId}`);
+        }
+      }
+    });
+
+    provider.on('error', (e) => {
+      if (!isCurrent()) return;
+      failover(provider, e.message).catch(err => logger.error(`Failover error for ${channelId}: ${err.message}`));
+    });
+
+    provider.on('close', () => {
+      if (!isCurrent()) return;
+      channelData.wsClosed = true;
+      const cleanupResolve = cleanupPromises.get(`ws_${channelId}`);
+      if (cleanupResolve) {
+        cleanupResolve();
+        cleanupPromises.delete(`ws_${channelId}`);
+      }
+    });
+  };
+
+  // Connect the first provider of the chain, from position start, that comes up
+  const connectFrom = async (start, history) => {
+    for (let i = start; i < chain.length; i++) {
+      if (!sipMap.has(channelId)) return true;
+      let provider;
+      try {
+        const providerConfig = i === 0 ? callConfig : buildFailoverConfig(callConfig, chain[i]);
+        provider = createProvider(channelId, providerConfig, { history, getHistory: () => getTranscript(channelId), mediaFormat });
+      } catch (e) {
+        logger.error(`Cannot use provider ${chain[i]} for ${channelId}: ${e.message}`);
+        continue;
+      }
+      chainIndex = i;
+      channelData.provider = provider;
+      channelData.wsClosed = false;
+      attach(provider);
+      logger.info(`Starting ${provider.name} session for ${channelId}${history.length > 0 ? ` with ${history.length} transcript turns` : ''}`);
+      try {
+        await provider.connect();
+        return true;
+      } catch (e) {
+        logger.error(`Provider ${provider.name} failed to connect for ${channelId}: ${e.message}`);
+        provider.close();
+      }
+    }
+    return false;
+  };
+
+  const allFailed = async () => {
+    logger.error(`No AI provider available for ${channelId} (tried ${chain.join(', ')})`);
+    if (onAllFailed && sipMap.has(channelId)) {
+      await onAllFailed(channelId);
+    }
+  };
+
+  const failover = async (provider, reason) => {
+    if (!sipMap.has(channelId)) return;
+    logger.warn(`Provider ${provider.name} failed for ${channelId}: ${reason}`);
+    provider.close();
+    streamHandler.stopPlayback();
+    for (const controller of pendingToolCalls.values()) {
+      controller.abort();
+    }
+    pendingToolCalls.clear();
+    const from = provider.name;
+    if (await connectFrom(chainIndex + 1, getTranscript(channelId))) {
+      if (channelData.provider !== provider) {
+        metrics.providerFailovers.inc({ from, to: channelData.provider.name });
+        logger.info(`Call ${channelId} moved from ${from} to ${channelData.provider.name}`);
+      }
+      return;
+    }
+    await allFailed();
+  };
+
+  if (callConfig.LOCAL_VAD_ENABLED) {
+    const vad = new VoiceActivityDetector({
+      mediaFormat,
+      thresholdDb: callConfig.LOCAL_VAD_THRESHOLD_DB,
+      maxZeroCrossingRate: callConfig.LOCAL_VAD_MAX_ZCR,
+      startMs: callConfig.LOCAL_VAD_START_MS,
+      hangoverMs: callConfig.LOCAL_VAD_HANGOVER_MS,
+      gate: callConfig.LOCAL_VAD_GATE,
+      gateTailMs: callConfig.LOCAL_VAD_GATE_TAIL_MS
+    });
+    // Barge-in without waiting for the provider: cut playback now, then cancel the reply upstream
+    vad.on('speechStart', ({ levelDb }) => {
+      if (!streamHandler.isPlaying()) return;
+      logger.info(`Caller speech detected locally for ${channelId} (${levelDb.toFixed(1)} dBFS), stopping playback`);
+      metrics.localBargeIns.inc();
+      const replyInProgress = !newTurn;
+      cutPlayback();
+      if (channelData.provider) {
+        channelData.provider.interrupt();
+      }
+      discardReply = replyInProgress;
+    });
+    vad.on('gateClosed', () => {
+      if (channelData.provider) {
+        channelData.provider.endAudioStream();
+      }
+    });
+    channelData.vad = vad;
+  }
+
+  if (!await connectFrom(0, [])) {
+    await allFailed();
+  }
+}
+
+module.exports = { startAISession, waitForBufferEmpty };
@@ -1,22 +1,30 @@
 const ari = require('ari-client');
-const WebSocket = require('ws');
 const { config, logger } = require('./config');
 const { sipMap, extMap, rtpSenders, rtpReceivers, cleanupPromises } = require('./state');
-const { startRTPReceiver, getNextRtpPort, releaseRtpPort } = require('./rtp');
+const { startRTPReceiver, releaseRtpPort } = require('./rtp');
+const { registerTool } = require('./tools');
+const { parseStasisArgs, resolveCallConfig, resolveMediaFormat } = require('./profiles');
+const { renderTemplate, buildTemplateValues } = require('./template');
+const { startTranscript, recordTurn, closeTranscript } = require('./transcript');
+const { sendCallRecord, spoolPendingRecords, registerCallDetailsTool } = require('./webhook');
+const { startRecording, stopRecording } = require('./recorder');
+const { metrics } = require('./metrics');
+const { startOutbound, claimOutboundCall, finishOutboundCall } = require('./outbound');
+const { startAISession, waitForBufferEmpty } = require('./ai-session');
+const { startAdmission, admitCall } = require('./admission');
 
-// Dynamically load the appropriate AI provider module
-let startAIWebSocket;
-if (config.AI_PROVIDER === 'gemini') {
-  const gemini = require('./gemini');
-  startAIWebSocket = gemini.startGeminiWebSocket;
-  logger.info('Loaded Gemini AI provider');
-} else {
-  const openai = require('./openai');
-  startAIWebSocket = openai.startOpenAIWebSocket;
-  logger.info('Loaded OpenAI AI provider');
+// Read a channel variable over ARI, null when it is not set
+async function getChannelVariable(channelId, variable) {
+  try {
+    const result = await ariClient.channels.getChannelVar({ channelId, variable });
+    return result.value || null;
+  } catch (e) {
+    return null;
+  }
 }
 
 let ariClient;
+const callRecordDeliveries = new Set(); // webhook deliveries of ended calls, awaited on shutdown
 
 async function addExtToBridge(client, channel, bridgeId) {
   try {
@@ -29,7 +37,25 @@ async function addExtToBridge(client, channel, bridgeId) {
   }
 }
 
-async function cleanupChannel(channelId) {
+// Fill caller details, channel variables and time placeholders into the call's prompt and greeting
+// Outbound calls bring their own prompt, greeting and variables.
+async function renderCallConfig(channel, callConfig, stasisArgs, outbound = null) {
+  const variables = {};
+  for (const name of config.TEMPLATE_VARIABLES) {
+    variables[name] = await getChannelVariable(channel.id, name);
+  }
+  if (outbound) {
+    Object.assign(variables, outbound.variables);
+  }
+  const values = buildTemplateValues(channel, variables, stasisArgs);
+  return {
+    ...callConfig,
+    SYSTEM_PROMPT: renderTemplate((outbound && outbound.prompt) || callConfig.SYSTEM_PROMPT, values),
+    INITIAL_MESSAGE: renderTemplate((outbound && outbound.initialMessage) || callConfig.INITIAL_MESSAGE, values)
+  };
+}
+
+async function cleanupChannel(channelId, { hangup = true } = {}) {
   if (cleanupPromises.has(channelId)) {
     await cleanupPromises.get(channelId);
     return;
@@ -47,12 +73,13 @@ async function cleanupChannel(channelId) {
         clearTimeout(channelData.callTimeoutId);
         logger.info(`Call duration timeout cleared for channel ${channelId}`);
       }
+      if (channelData.dtmf) {
+        clearTimeout(channelData.dtmf.timer);
+      }
+      if (channelData.provider) {
+        channelData.provider.close();
+      }
       if (!channelData.wsClosed) {
-        logger.info(`WebSocket state for channel ${channelId}: wsClosed=${channelData.wsClosed}`);
-        if (channelData.ws && typeof channelData.ws.close === 'function') {
-          logger.info(`Forcing WebSocket closure for channel ${channelId}`);
-          channelData.ws.close();
-        }
         logger.debug(`Waiting for WebSocket closure for ${channelId}`);
         const wsCleanupPromise = new Promise((resolve) => {
           cleanupPromises.set(`ws_${channelId}`, resolve);
@@ -80,7 +107,19 @@ async function cleanupChannel(channelId) {
           }
         }
       }
-      if (channelData.channel && ariClient) {
+      if (channelData.extChannelId) {
+        try {
+          await ariClient.channels.hangup({ channelId: channelData.extChannelId });
+          logger.info(`ExternalMedia channel ${channelData.extChannelId} hung up during cleanup`);
+        } catch (e) {
+          if (e.message.includes('Channel not found')) {
+            logger.info(`ExternalMedia channel ${channelData.extChannelId} already hung up`);
+          } else {
+            logger.error(`Error hanging up ExternalMedia channel ${channelData.extChannelId}: ${e.message}`);
+          }
+        }
+      }
+      if (channelData.channel && ariClient && hangup) {
         try {
           await ariClient.channels.get({ channelId: channelData.channel.id });
           await channelData.channel.hangup();
@@ -123,33 +162,312 @@ async function cleanupChannel(channelId) {
         const receiver = rtpReceivers.get(channelId);
         if (receiver.isOpen) {
           await new Promise((resolve) => {
+            // The port returns to the pool once the RTCP socket is closed too
             receiver.close(() => {
               logger.info(`RTP receiver socket closed for ${channelId}`);
-              releaseRtpPort(channelData.rtpPort);
               resolve();
             });
             setTimeout(resolve, 1000);
           });
         }
         rtpReceivers.delete(channelId);
+      } else if (channelData.rtpPort) {
+        releaseRtpPort(channelData.rtpPort);
       }
     } catch (e) {
       logger.error(`Cleanup error for ${channelId}: ${e.message}`);
     } finally {
+      const transcript = await closeTranscript(channelId);
+      channelData.recordingFile = await stopRecording(channelId);
       cleanupPromises.delete(channelId);
       cleanupPromises.delete(`ws_${channelId}`);
+      logger.info(`Call ${channelId} ended: ${channelData.endReason || 'caller_hangup'}`);
+      metrics.callsEnded.inc({ reason: channelData.endReason || 'caller_hangup' });
+      const delivery = sendCallRecord(channelData, transcript);
+      callRecordDeliveries.add(delivery);
+      delivery.then(() => callRecordDeliveries.delete(delivery));
+      finishOutboundCall(channelData);
     }
   })();
   cleanupPromises.set(channelId, cleanupPromise);
   await cleanupPromise;
 }
 
+// Normalize a transfer target to { endpoint } or { context, extension }
+function parseTransferTarget(target) {
+  const value = String(target || '').trim();
+  if (value.includes('/')) {
+    return { endpoint: value };
+  }
+  const [extension, context = config.TRANSFER_CONTEXT] = value.split('@');
+  return { extension, context };
+}
+
+// Resolve a model-supplied target against TRANSFER_ALLOWLIST, null if not allowed
+function resolveTransferTarget(target) {
+  const destination = parseTransferTarget(target);
+  if (!destination.endpoint && (!destination.extension || destination.extension === '*')) {
+    return null;
+  }
+  const allowed = config.TRANSFER_ALLOWLIST.some((entry) => {
+    const rule = parseTransferTarget(entry);
+    if (rule.endpoint || destination.endpoint) {
+      return rule.endpoint === destination.endpoint;
+    }
+    return rule.context === destination.context && (rule.extension === '*' || rule.extension === destination.extension);
+  });
+  return allowed ? destination : null;
+}
+
+async function transferCall(channelId, destination, endReason = 'transfer') {
+  const channelData = sipMap.get(channelId);
+  if (!channelData || channelData.transferring || channelData.ending) {
+    return;
+  }
+  channelData.transferring = true;
+  channelData.endReason = endReason;
+  const label = destination.endpoint || `${destination.extension}@${destination.context}`;
+  logger.info(`Transfer of channel ${channelId} to ${label} requested, waiting for current reply to finish`);
+  await waitForBufferEmpty(channelId);
+  if (!sipMap.has(channelId)) {
+    logger.info(`Channel ${channelId} ended before transfer to ${label}`);
+    return;
+  }
+  await cleanupChannel(channelId, { hangup: false });
+  try {
+    if (destination.endpoint) {
+      await ariClient.channels.redirect({ channelId, endpoint: destination.endpoint });
+    } else {
+      await ariClient.channels.continueInDialplan({
+        channelId,
+        context: destination.context,
+        extension: destination.extension,
+        priority: 1
+      });
+    }
+    logger.info(`Channel ${channelId} transferred to ${label}`);
+  } catch (e) {
+    logger.error(`Transfer of channel ${channelId} to ${label} failed: ${e.message}`);
+    try {
+      await ariClient.channels.hangup({ channelId });
+    } catch (err) {
+      logger.error(`Error hanging up channel ${channelId} after failed transfer: ${err.message}`);
+    }
+  }
+}
+
+async function endCall(channelId) {
+  const channelData = sipMap.get(channelId);
+  if (!channelData || channelData.ending || channelData.transferring) {
+    return;
+  }
+  channelData.ending = true;
+  channelData.endReason = 'ai_hangup';
+  logger.info(`Hangup of channel ${channelId} requested by assistant, waiting for farewell to finish playing`);
+  await waitForBufferEmpty(channelId);
+  await cleanupChannel(channelId);
+  logger.info(`Channel ${channelId} ended by assistant`);
+}
+
+// Play a sound file to the caller, resolves when it finished or after timeoutMs
+async function playToCaller(channelId, media, timeoutMs = 10000) {
+  const playback = ariClient.Playback();
+  await new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeoutMs);
+    playback.once('PlaybackFinished', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    ariClient.channels.play({ channelId, media, playbackId: playback.id }).catch((e) => {
+      logger.error(`Error playing ${media} to channel ${channelId}: ${e.message}`);
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+// Called when no AI provider of the chain is available: apologise, then hand the call to
+// FAILOVER_EXTENSION or hang up
+async function handleProvidersDown(channelId) {
+  const channelData = sipMap.get(channelId);
+  if (!channelData || channelData.transferring || channelData.ending) {
+    return;
+  }
+  channelData.endReason = 'provider_failure';
+  if (config.FAILOVER_APOLOGY) {
+    await playToCaller(channelId, config.FAILOVER_APOLOGY);
+  }
+  if (!sipMap.has(channelId)) {
+    return;
+  }
+  if (config.FAILOVER_EXTENSION) {
+    logger.info(`No AI provider for ${channelId}, transferring to ${config.FAILOVER_EXTENSION}`);
+    await transferCall(channelId, parseTransferTarget(config.FAILOVER_EXTENSION), 'provider_failure');
+  } else {
+    logger.info(`No AI provider for ${channelId}, hanging up`);
+    await cleanupChannel(channelId);
+  }
+}
+
+// Setup failed before the call reached sipMap, so cleanupChannel cannot end it: remove its bridge
+// and send the caller to FAILOVER_EXTENSION or hang up
+async function abandonCallSetup(channel) {
+  metrics.callsEnded.inc({ reason: 'error' });
+  try {
+    await ariClient.bridges.destroy({ bridgeId: `${channel.id}_bridge` });
+  } catch (e) {
+    if (!e.message.includes('Bridge not found')) {
+      logger.warn(`Failed to destroy bridge of ${channel.id}: ${e.message}`);
+    }
+  }
+  const target = config.FAILOVER_EXTENSION ? parseTransferTarget(config.FAILOVER_EXTENSION) : null;
+  try {
+    if (target && target.endpoint) {
+      await ariClient.channels.redirect({ channelId: channel.id, endpoint: target.endpoint });
+    } else if (target) {
+      await ariClient.channels.continueInDialplan({ channelId: channel.id, context: target.context, extension: target.extension, priority: 1 });
+    } else {
+      await ariClient.channels.hangup({ channelId: channel.id });
+    }
+    logger.info(`Channel ${channel.id} ${target ? `sent to ${config.FAILOVER_EXTENSION}` : 'hung up'} after failed setup`);
+  } catch (e) {
+    if (e.message.includes('Channel not found')) {
+      logger.info(`Channel ${channel.id} already hung up`);
+    } else {
+      logger.error(`Error ending channel ${channel.id} after failed setup: ${e.message}`);
+    }
+  }
+}
+
+// No call slot for a new inbound call: send it to OVERFLOW_TARGET or hang up with OVERFLOW_HANGUP_CAUSE
+async function handleOverflow(channel, reason) {
+  if (reason === 'abandoned') {
+    return;
+  }
+  const target = config.OVERFLOW_ACTION !== 'reject' && config.OVERFLOW_TARGET
+    ? parseTransferTarget(config.OVERFLOW_TARGET) : null;
+  try {
+    if (target) {
+      logger.warn(`No call slot for ${channel.id} (${reason}), sending it to ${config.OVERFLOW_TARGET}`);
+      metrics.overflowCalls.inc({ action: 'redirected' });
+      if (target.endpoint) {
+        await ariClient.channels.redirect({ channelId: channel.id, endpoint: target.endpoint });
+      } else {
+        await ariClient.channels.continueInDialplan({ channelId: channel.id, context: target.context, extension: target.extension, priority: 1 });
+      }
+    } else {
+      logger.warn(`No call slot for ${channel.id} (${reason}), rejecting with cause ${config.OVERFLOW_HANGUP_CAUSE}`);
+      metrics.overflowCalls.inc({ action: 'rejected' });
+      await ariClient.channels.hangup({ channelId: channel.id, reason: config.OVERFLOW_HANGUP_CAUSE });
+    }
+  } catch (e) {
+    logger.error(`Error handling overflow call ${channel.id}: ${e.message}`);
+  }
+}
+
+function flushDtmf(channelId) {
+  const channelData = sipMap.get(channelId);
+  if (!channelData || !channelData.dtmf) {
+    return;
+  }
+  const { digits } = channelData.dtmf;
+  clearTimeout(channelData.dtmf.timer);
+  channelData.dtmf = null;
+  if (!digits) {
+    return;
+  }
+  logger.info(`DTMF input collected for ${channelId}: ${digits}`);
+  if (!channelData.provider || !channelData.provider.sendText(`The caller entered on the keypad: ${digits}`)) {
+    logger.warn(`DTMF input for ${channelId} dropped, AI session not ready`);
+    return;
+  }
+  recordTurn(channelId, 'user', digits, { source: 'dtmf' });
+}
+
+function handleDtmf(channelId, digit) {
+  const channelData = sipMap.get(channelId);
+  if (!channelData) {
+    return;
+  }
+  logger.debug(`DTMF digit ${digit} received for ${channelId}`);
+  if (!channelData.dtmf) {
+    channelData.dtmf = { digits: '', timer: null };
+  }
+  const dtmf = channelData.dtmf;
+  clearTimeout(dtmf.timer);
+  if (config.DTMF_TERMINATOR && digit === config.DTMF_TERMINATOR) {
+    if (!dtmf.digits) {
+      dtmf.digits = digit;
+    }
+    flushDtmf(channelId);
+    return;
+  }
+  dtmf.digits += digit;
+  dtmf.timer = setTimeout(() => flushDtmf(channelId), config.DTMF_INTERDIGIT_TIMEOUT_MS);
+}
+
+function registerCallControlTools() {
+  registerCallDetailsTool();
+  if (config.END_CALL_ENABLED) {
+    registerTool({
+      name: 'end_call',
+      description: 'Hang up the call when the conversation is finished. Say goodbye to the caller before calling this.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Short reason for ending the call' }
+        }
+      },
+      followUp: false,
+      handler: async ({ reason }, { channelId }) => {
+        logger.info(`End of call requested by assistant for ${channelId}${reason ? ` (${reason})` : ''}`);
+        endCall(channelId).catch((e) => {
+          logger.error(`End call error for ${channelId}: ${e.message}`);
+        });
+        return { status: 'ending' };
+      }
+    });
+  }
+
+  if (config.TRANSFER_ALLOWLIST.length > 0) {
+    registerTool({
+      name: 'transfer_call',
+      description: `Transfer the caller to a human agent or another department. Tell the caller they are being transferred before calling this. Allowed targets: ${config.TRANSFER_ALLOWLIST.join(', ')}`,
+      parameters: {
+        type: 'object',
+        properties: {
+          target: { type: 'string', description: 'Extension, extension@context or endpoint to transfer to, from the allowed targets' },
+          reason: { type: 'string', description: 'Short reason for the transfer' }
+        },
+        required: ['target']
+      },
+      followUp: false,
+      handler: async ({ target, reason }, { channelId }) => {
+        const destination = resolveTransferTarget(target);
+        if (!destination) {
+          logger.warn(`Transfer of channel ${channelId} to ${target} rejected, not in TRANSFER_ALLOWLIST`);
+          return { error: `Transfer target ${target} is not allowed` };
+        }
+        logger.info(`Transfer requested by assistant for ${channelId}: ${target}${reason ? ` (${reason})` : ''}`);
+        transferCall(channelId, destination).catch((e) => {
+          logger.error(`Transfer error for ${channelId}: ${e.message}`);
+        });
+        return { status: 'transferring', target };
+      }
+    });
+  }
+}
+
 async function initializeAriClient() {
+  registerCallControlTools();
+
   try {
     ariClient = await ari.connect(config.ARI_URL, config.ARI_USER, config.ARI_PASS);
     logger.info(`Connected to ARI at ${config.ARI_URL}`);
     await ariClient.start(config.ARI_APP);
     logger.info(`ARI application "${config.ARI_APP}" started`);
+    startOutbound(ariClient);
+    startAdmission(ariClient);
 
     ariClient.on('StasisStart', async (evt, channel) => {
       logger.info(`StasisStart for channel ${channel.id}, name: ${channel.name}`);
@@ -169,41 +487,78 @@ async function initializeAriClient() {
         }
         if (mapping) {
           await addExtToBridge(ariClient, channel, mapping.bridgeId);
-          logger.info(`Bridge ${mapping.bridgeId} ready for audio routing, external channel ${channel.id} active with codec ulaw`);
+          logger.info(`Bridge ${mapping.bridgeId} ready for audio routing, external channel ${channel.id} active with codec ${mapping.format}`);
         } else {
           logger.error(`No mapping found for ExternalMedia channel ${channel.id} after ${maxAttempts} attempts`);
         }
         return;
       }
       logger.info(`SIP channel started: ${channel.id}`);
+      const claimed = claimOutboundCall(channel.id);
+      const outbound = claimed ? claimed.options : null;
+      // Outbound calls reserved their slot before they were dialed
+      const { port, queued, reason } = claimed ? { port: claimed.port, queued: false } : await admitCall(channel);
+      if (port === null) {
+        await handleOverflow(channel, reason);
+        return;
+      }
+      const startTime = new Date();
+      metrics.callsStarted.inc();
       try {
+        const stasisArgs = parseStasisArgs(evt.args);
+        const profileVariable = stasisArgs.profile ? null : await getChannelVariable(channel.id, config.PROFILE_VARIABLE);
+        const callConfig = await renderCallConfig(channel, resolveCallConfig(channel.id, stasisArgs, profileVariable), stasisArgs, outbound);
+
         const bridgeId = `${channel.id}_bridge`;
         const bridge = await ariClient.bridges.create({ type: 'mixing,proxy_media', bridgeId });
         await bridge.addChannel({ channel: channel.id });
-        await channel.answer();
+        // Callers admitted from the waiting queue were answered there
+        if (!queued) {
+          await channel.answer();
+        }
         logger.info(`Channel ${channel.id} answered, bridge ${bridgeId} created for SIP audio`);
 
-        const port = getNextRtpPort();
+        const mediaFormat = resolveMediaFormat(channel.id, stasisArgs, callConfig);
+        sipMap.set(channel.id, {
+          bridgeId,
+          channelId: channel.id,
+          bridge,
+          channel,
+          rtpPort: port,
+          mediaFormat,
+          wsClosed: false,
+          config: callConfig,
+          stasisArgs,
+          startTime,
+          direction: outbound ? 'outbound' : 'inbound',
+          callerId: outbound
+            ? { number: outbound.number || channel.connected?.number || '', name: channel.connected?.name || '' }
+            : { number: channel.caller?.number || '', name: channel.caller?.name || '' },
+          extension: channel.dialplan?.exten || ''
+        });
+        startTranscript(channel.id);
+        startRecording(channel.id, mediaFormat.sampleRate);
         await startRTPReceiver(channel.id, port);
         const extParams = {
           app: config.ARI_APP,
           external_host: `127.0.0.1:${port}`,
-          format: 'ulaw',
+          format: mediaFormat.name,
           transport: 'udp',
           encapsulation: 'rtp',
           connection_type: 'client',
           direction: 'both'
         };
-        sipMap.set(channel.id, { bridgeId, channelId: channel.id, bridge, channel, rtpPort: port, wsClosed: false });
         const extChannel = await ariClient.channels.externalMedia(extParams);
-        logger.info(`ExternalMedia channel ${extChannel.id} created with codec ulaw, RTP to 127.0.0.1:${port}`);
-        extMap.set(extChannel.id, { bridgeId, channelId: channel.id });
+        sipMap.get(channel.id).extChannelId = extChannel.id;
+        logger.info(`ExternalMedia channel ${extChannel.id} created with codec ${mediaFormat.name}, RTP to 127.0.0.1:${port}`);
+        extMap.set(extChannel.id, { bridgeId, channelId: channel.id, format: mediaFormat.name });
         logger.info(`extMap updated for channel ${extChannel.id} with bridge ${bridgeId}`);
 
         if (config.CALL_DURATION_LIMIT_SECONDS > 0) {
           const channelData = sipMap.get(channel.id);
           channelData.callTimeoutId = setTimeout(async () => {
             logger.info(`Call duration limit of ${config.CALL_DURATION_LIMIT_SECONDS} seconds reached for channel ${channel.id}, hanging up`);
+            channelData.endReason = 'duration_limit';
             try {
               await ariClient.channels.hangup({ channelId: channel.id });
               logger.info(`Channel ${channel.id} hung up due to duration limit`);
@@ -214,13 +569,28 @@ async function initializeAriClient() {
           sipMap.set(channel.id, channelData);
         }
 
-        await startAIWebSocket(channel.id);
+        if (callConfig.PROFILE) {
+          logger.info(`Using profile ${callConfig.PROFILE} for ${channel.id}`);
+        }
+        await startAISession(channel.id, { onAllFailed: handleProvidersDown });
       } catch (e) {
         logger.error(`Error in SIP channel ${channel.id}: ${e.message}`);
-        await cleanupChannel(channel.id);
+        if (sipMap.has(channel.id)) {
+          sipMap.get(channel.id).endReason = 'error';
+          await cleanupChannel(channel.id);
+        } else {
+          releaseRtpPort(port);
+          await abandonCallSetup(channel);
+        }
       }
     });
 
+    if (config.DTMF_ENABLED) {
+      ariClient.on('ChannelDtmfReceived', (evt, channel) => {
+        handleDtmf(channel.id, evt.digit);
+      });
+    }
+
     ariClient.on('StasisEnd', async (evt, channel) => {
       logger.info(`StasisEnd for channel ${channel.id}, name: ${channel.name}`);
       if (channel.name && channel.name.startsWith('UnicastRTP')) {
@@ -236,9 +606,9 @@ async function initializeAriClient() {
           if (e.message.includes('Channel not found')) {
             logger.info(`Channel ${channel.id} already hung up, no cleanup needed`);
             const channelData = sipMap.get(channel.id);
-            if (channelData && channelData.ws && !channelData.wsClosed && typeof channelData.ws.close === 'function') {
-              logger.info(`Closing WebSocket for channel ${channel.id} on StasisEnd`);
-              channelData.ws.close();
+            if (channelData && channelData.provider && !channelData.wsClosed) {
+              logger.info(`Closing AI session for channel ${channel.id} on StasisEnd`);
+              channelData.provider.close();
             }
             await cleanupChannel(channel.id);
           } else {
@@ -251,11 +621,23 @@ async function initializeAriClient() {
     process.on('SIGINT', async () => {
       logger.info('Received SIGINT, cleaning up...');
       const channelsToClean = [...sipMap.keys()];
-      const cleanupTasks = channelsToClean.map(cleanupChannel);
+      for (const channelData of sipMap.values()) {
+        channelData.endReason = channelData.endReason || 'shutdown';
+      }
+      const cleanupTasks = channelsToClean.map(channelId => cleanupChannel(channelId));
       await Promise.all([...cleanupPromises.values(), ...cleanupTasks]);
       sipMap.clear();
       extMap.clear();
       cleanupPromises.clear();
+      // Call records get one delivery attempt's time, the rest go to the spool for the next start
+      if (callRecordDeliveries.size > 0) {
+        logger.info(`Waiting for ${callRecordDeliveries.size} call record webhook(s)`);
+        await Promise.race([
+          Promise.all(callRecordDeliveries),
+          new Promise(resolve => setTimeout(resolve, config.WEBHOOK_TIMEOUT_MS))
+        ]);
+        spoolPendingRecords();
+      }
       if (ariClient) {
         try {
           await ariClient.stop();
@@ -273,4 +655,4 @@ async function initializeAriClient() {
   }
 }
 
-module.exports = { initializeAriClient, ariClient };
+module.exports = { initializeAriClient, cleanupChannel, ariClient };
@@ -36,6 +36,40 @@ for (let i = 0; i < 65536; i++) {
   linearToMulaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xFF;
 }
 
+// Precomputed A-law to linear conversion table (ITU-T G.711)
+const alawToLinear = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const alaw = i ^ 0x55; // Even bits are inverted on the wire
+  const exponent = (alaw >> 4) & 0x07;
+  const mantissa = alaw & 0x0F;
+  let magnitude = (mantissa << 4) + 8;
+  if (exponent > 0) {
+    magnitude = (magnitude + 0x100) << (exponent - 1);
+  }
+  alawToLinear[i] = (alaw & 0x80) ? magnitude : -magnitude;
+}
+
+// Precomputed linear to A-law conversion table
+const linearToAlaw = new Uint8Array(65536);
+for (let i = 0; i < 65536; i++) {
+  const sample = (i & 0x8000) ? (i - 65536) : i;
+  const mask = (sample >= 0) ? 0xD5 : 0x55; // Sign bit set for positive samples
+  const abs = (sample >= 0) ? (sample >> 3) : (-(sample >> 3) - 1);
+  let exponent = 8;
+  for (let exp = 0; exp < 8; exp++) {
+    if (abs <= (0x20 << exp) - 1) { // Segment end points 0x1F, 0x3F ... 0xFFF
+      exponent = exp;
+      break;
+    }
+  }
+  if (exponent === 8) {
+    linearToAlaw[i] = 0x7F ^ mask;
+  } else {
+    const mantissa = (exponent < 2 ? abs >> 1 : abs >> exponent) & 0x0F;
+    linearToAlaw[i] = ((exponent << 4) | mantissa) ^ mask;
+  }
+}
+
 /**
  * Convert μ-law (G.711) to 16-bit PCM linear
  * @param {Buffer} mulawData - μ-law encoded audio data
@@ -70,84 +104,233 @@ function pcm16ToMulaw(pcm16Data) {
 }
 
 /**
- * Resample audio from 8kHz to 16kHz using linear interpolation
- * @param {Buffer} pcm8k - 16-bit PCM audio at 8kHz
- * @returns {Buffer} - 16-bit PCM audio at 16kHz
+ * Convert A-law (G.711) to 16-bit PCM linear
+ * @param {Buffer} alawData - A-law encoded audio data
+ * @returns {Buffer} - 16-bit PCM audio data (little-endian)
  */
-function resample8to16(pcm8k) {
-  const numSamples = pcm8k.length / 2;
-  const pcm16k = Buffer.alloc(numSamples * 4); // Double the samples
+function alawToPcm16(alawData) {
+  const pcm16Buffer = Buffer.alloc(alawData.length * 2);
 
-  for (let i = 0; i < numSamples - 1; i++) {
-    const sample1 = pcm8k.readInt16LE(i * 2);
-    const sample2 = pcm8k.readInt16LE((i + 1) * 2);
+  for (let i = 0; i < alawData.length; i++) {
+    pcm16Buffer.writeInt16LE(alawToLinear[alawData[i]], i * 2);
+  }
 
-    // Write original sample
-    pcm16k.writeInt16LE(sample1, i * 4);
+  return pcm16Buffer;
+}
 
-    // Write interpolated sample (average of current and next)
-    const interpolated = Math.round((sample1 + sample2) / 2);
-    pcm16k.writeInt16LE(interpolated, i * 4 + 2);
+/**
+ * Convert 16-bit PCM linear to A-law (G.711)
+ * @param {Buffer} pcm16Data - 16-bit PCM audio data (little-endian)
+ * @returns {Buffer} - A-law encoded audio data
+ */
+function pcm16ToAlaw(pcm16Data) {
+  const alawBuffer = Buffer.alloc(pcm16Data.length / 2);
+
+  for (let i = 0; i < pcm16Data.length; i += 2) {
+    alawBuffer[i / 2] = linearToAlaw[pcm16Data.readUInt16LE(i)];
   }
 
-  // Handle last sample
-  const lastSample = pcm8k.readInt16LE((numSamples - 1) * 2);
-  pcm16k.writeInt16LE(lastSample, (numSamples - 1) * 4);
-  pcm16k.writeInt16LE(lastSample, (numSamples - 1) * 4 + 2);
+  return alawBuffer;
+}
 
-  return pcm16k;
+/**
+ * Swap the byte order of 16-bit samples, between Asterisk's big-endian slin and little-endian PCM
+ * @param {Buffer} pcm - 16-bit audio, an odd trailing byte is dropped
+ * @returns {Buffer} - A swapped copy
+ */
+function swapBytes16(pcm) {
+  return Buffer.from(pcm.subarray(0, pcm.length - (pcm.length % 2))).swap16();
+}
+
+// Resampler filter design: Kaiser windowed sinc with 60 dB stopband attenuation, reached at the
+// Nyquist frequency of the lower rate. TAPS_PER_RATIO taps per step of the larger of the
+// up/down factors keep the transition band near 600 Hz for every supported ratio.
+const STOPBAND_DB = 60;
+const KAISER_BETA = 0.1102 * (STOPBAND_DB - 8.7);
+const TAPS_PER_RATIO = 48;
+const filterCache = new Map(); // 'from:to' -> polyphase filter
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Zeroth order modified Bessel function of the first kind, for the Kaiser window
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50 && term > sum * 1e-12; k++) {
+    term *= (x / (2 * k)) * (x / (2 * k));
+    sum += term;
+  }
+  return sum;
 }
 
 /**
- * Resample audio from 16kHz to 8kHz by decimation
- * @param {Buffer} pcm16k - 16-bit PCM audio at 16kHz
- * @returns {Buffer} - 16-bit PCM audio at 8kHz
+ * Design the polyphase low-pass filter for a rate pair, cached per pair
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Object} - { up, down, phases: Array<Float32Array> } with phases[p][k] = h[p + k * up]
  */
-function resample16to8(pcm16k) {
-  const numSamples = pcm16k.length / 2;
-  const outputSamples = numSamples / 2;
-  const pcm8k = Buffer.alloc(outputSamples * 2); // Correct buffer size
+function designFilter(fromRate, toRate) {
+  const key = `${fromRate}:${toRate}`;
+  if (filterCache.has(key)) return filterCache.get(key);
+
+  const divisor = gcd(fromRate, toRate);
+  const up = toRate / divisor;
+  const down = fromRate / divisor;
+  const length = TAPS_PER_RATIO * Math.max(up, down);
+  const upsampledRate = fromRate * up;
+  const transitionHz = (STOPBAND_DB - 7.95) / (14.36 * length) * upsampledRate;
+  const cutoff = (Math.min(fromRate, toRate) / 2 - transitionHz / 2) / upsampledRate; // cycles per sample
+
+  const taps = new Float64Array(length);
+  const center = (length - 1) / 2;
+  let sum = 0;
+  for (let n = 0; n < length; n++) {
+    const t = n - center;
+    const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+    const ratio = 2 * n / (length - 1) - 1;
+    taps[n] = sinc * besselI0(KAISER_BETA * Math.sqrt(1 - ratio * ratio)) / besselI0(KAISER_BETA);
+    sum += taps[n];
+  }
+
+  // Each phase sees one in every `up` taps, the gain of up makes up for the inserted zeros
+  const tapsPerPhase = Math.ceil(length / up);
+  const phases = [];
+  for (let p = 0; p < up; p++) {
+    const phase = new Float32Array(tapsPerPhase);
+    for (let k = 0; k < tapsPerPhase && p + k * up < length; k++) {
+      phase[k] = taps[p + k * up] * up / sum;
+    }
+    phases.push(phase);
+  }
+
+  const filter = { up, down, phases };
+  filterCache.set(key, filter);
+  return filter;
+}
+
+/**
+ * Polyphase FIR resampler for one audio stream
+ * Filter history and phase carry over between chunks, so resampling 20ms frames one by one gives
+ * the same audio as resampling the whole stream at once, without clicks at frame boundaries.
+ */
+class Resampler {
+  /**
+   * @param {number} fromRate - Input sample rate in Hz
+   * @param {number} toRate - Output sample rate in Hz
+   */
+  constructor(fromRate, toRate) {
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.filter = designFilter(fromRate, toRate);
+    this.reset();
+  }
 
-  // Take every other sample
-  for (let i = 0; i < outputSamples; i++) {
-    const sample = pcm16k.readInt16LE(i * 4);
-    pcm8k.writeInt16LE(sample, i * 2);
+  // Forget the audio seen so far, e.g. when playback is interrupted
+  reset() {
+    this.history = new Float32Array(this.filter.phases[0].length - 1);
+    this.position = 0; // next output sample, in upsampled samples from the start of the next chunk
   }
 
-  return pcm8k;
+  /**
+   * @param {Buffer} pcm - 16-bit PCM audio (little-endian) at fromRate
+   * @returns {Buffer} - 16-bit PCM audio (little-endian) at toRate
+   */
+  process(pcm) {
+    const { up, down, phases } = this.filter;
+    const historyLength = this.history.length;
+    const inputSamples = Math.floor(pcm.length / 2);
+    const samples = new Float32Array(historyLength + inputSamples);
+    samples.set(this.history);
+    for (let i = 0; i < inputSamples; i++) {
+      samples[historyLength + i] = pcm.readInt16LE(i * 2);
+    }
+
+    const totalUpsampled = inputSamples * up;
+    const outputSamples = Math.max(0, Math.ceil((totalUpsampled - this.position) / down));
+    const output = Buffer.alloc(outputSamples * 2);
+    let position = this.position;
+    for (let o = 0; o < outputSamples; o++, position += down) {
+      const phase = phases[position % up];
+      const newest = historyLength + Math.floor(position / up);
+      let acc = 0;
+      for (let k = 0; k < phase.length; k++) {
+        acc += phase[k] * samples[newest - k];
+      }
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(acc))), o * 2);
+    }
+
+    this.position = position - totalUpsampled;
+    this.history = samples.slice(samples.length - historyLength);
+    return output;
+  }
+}
+
+/**
+ * Create a stateful resampler for one audio stream
+ * Supported ratios include 8kHz ↔ 16kHz and 8kHz ↔ 24kHz.
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Resampler}
+ */
+function createResampler(fromRate, toRate) {
+  return new Resampler(fromRate, toRate);
+}
+
+/**
+ * Resample audio from 8kHz to 16kHz with an anti-imaging filter
+ * Stateless, for a complete buffer. Streams should use createResampler().
+ * @param {Buffer} pcm8k - 16-bit PCM audio at 8kHz
+ * @returns {Buffer} - 16-bit PCM audio at 16kHz
+ */
+function resample8to16(pcm8k) {
+  return createResampler(8000, 16000).process(pcm8k);
+}
+
+/**
+ * Resample audio from 16kHz to 8kHz with an anti-aliasing filter
+ * Stateless, for a complete buffer. Streams should use createResampler().
+ * @param {Buffer} pcm16k - 16-bit PCM audio at 16kHz
+ * @returns {Buffer} - 16-bit PCM audio at 8kHz
+ */
+function resample16to8(pcm16k) {
+  return createResampler(16000, 8000).process(pcm16k);
 }
 
 /**
- * Resample audio from 24kHz to 8kHz by decimation
+ * Resample audio from 24kHz to 8kHz with an anti-aliasing filter
+ * Stateless, for a complete buffer. Streams should use createResampler().
  * @param {Buffer} pcm24k - 16-bit PCM audio at 24kHz
  * @returns {Buffer} - 16-bit PCM audio at 8kHz
  */
 function resample24to8(pcm24k) {
-  const numSamples = pcm24k.length / 2;
-  const outputSamples = Math.floor(numSamples / 3);
-  const pcm8k = Buffer.alloc(outputSamples * 2);
-
-  // Take every 3rd sample
-  for (let i = 0; i < outputSamples; i++) {
-    const sample = pcm24k.readInt16LE(i * 6);
-    pcm8k.writeInt16LE(sample, i * 2);
-  }
+  return createResampler(24000, 8000).process(pcm24k);
+}
 
-  return pcm8k;
+/**
+ * Resample audio from 8kHz to 24kHz with an anti-imaging filter
+ * Stateless, for a complete buffer. Streams should use createResampler().
+ * @param {Buffer} pcm8k - 16-bit PCM audio at 8kHz
+ * @returns {Buffer} - 16-bit PCM audio at 24kHz
+ */
+function resample8to24(pcm8k) {
+  return createResampler(8000, 24000).process(pcm8k);
 }
 
 /**
  * Full conversion pipeline: μ-law 8kHz → PCM 16kHz
  * (For sending Asterisk audio to Gemini)
  * @param {Buffer} mulawData - μ-law encoded audio at 8kHz
+ * @param {Resampler} [resampler] - Stream resampler from createResampler(8000, 16000)
  * @returns {Buffer} - 16-bit PCM audio at 16kHz
  */
-function convertAsteriskToGemini(mulawData) {
+function convertAsteriskToGemini(mulawData, resampler = null) {
   // Debug: Check if input has actual audio data (not all silence)
   const hasAudio = !mulawData.every(byte => byte === 0x7F || byte === 0xFF);
 
   const pcm8k = mulawToPcm16(mulawData);
-  const pcm16k = resample8to16(pcm8k);
+  const pcm16k = resampler ? resampler.process(pcm8k) : resample8to16(pcm8k);
 
   // Debug: Log once per 100 calls if audio is detected
   if (hasAudio && Math.random() < 0.01) {
@@ -162,10 +345,11 @@ function convertAsteriskToGemini(mulawData) {
  * Full conversion pipeline: PCM 24kHz → μ-law 8kHz
  * (For sending Gemini audio to Asterisk)
  * @param {Buffer} pcm24k - 16-bit PCM audio at 24kHz
+ * @param {Resampler} [resampler] - Stream resampler from createResampler(24000, 8000)
  * @returns {Buffer} - μ-law encoded audio at 8kHz
  */
-function convertGeminiToAsterisk(pcm24k) {
-  const pcm8k = resample24to8(pcm24k);
+function convertGeminiToAsterisk(pcm24k, resampler = null) {
+  const pcm8k = resampler ? resampler.process(pcm24k) : resample24to8(pcm24k);
   const mulaw = pcm16ToMulaw(pcm8k);
   return mulaw;
 }
@@ -188,14 +372,181 @@ function convertOpenAIToAsterisk(mulawData) {
   return mulawData; // OpenAI outputs μ-law directly
 }
 
+/**
+ * ExternalMedia formats, how audio travels between Asterisk and this app over RTP
+ * slin is 16-bit signed linear in network byte order (big-endian). Payload types 0 and 8 are
+ * static; for the dynamic slin types the type Asterisk sends is mirrored once it arrives.
+ */
+const MEDIA_FORMATS = {
+  ulaw: { name: 'ulaw', encoding: 'mulaw', sampleRate: 8000, payloadType: 0, silenceByte: 0x7F },
+  alaw: { name: 'alaw', encoding: 'alaw', sampleRate: 8000, payloadType: 8, silenceByte: 0xD5 },
+  slin16: { name: 'slin16', encoding: 'slin', sampleRate: 16000, payloadType: 118, silenceByte: 0x00 },
+  slin24: { name: 'slin24', encoding: 'slin', sampleRate: 24000, payloadType: 123, silenceByte: 0x00 }
+};
+
+/**
+ * @param {string} name - ExternalMedia format: ulaw, alaw, slin16 or slin24
+ * @returns {Object} - Media format: { name, encoding, sampleRate, payloadType, silenceByte }
+ */
+function getMediaFormat(name) {
+  const format = MEDIA_FORMATS[String(name).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unknown media format "${name}", expected one of ${Object.keys(MEDIA_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * @param {Object} format - Audio format: { encoding: 'mulaw'|'alaw'|'slin'|'pcm16', sampleRate }
+ * @returns {number} - Bytes per sample
+ */
+function bytesPerSample(format) {
+  return format.encoding === 'mulaw' || format.encoding === 'alaw' ? 1 : 2;
+}
+
+/**
+ * @param {Object} format - Audio format
+ * @param {number} ms - Duration
+ * @returns {number} - Bytes of audio in that format for the duration
+ */
+function bytesForMs(format, ms) {
+  return Math.round(format.sampleRate * ms / 1000) * bytesPerSample(format);
+}
+
+/**
+ * @param {Object} format - Audio format
+ * @param {number} bytes - Length of audio in that format
+ * @returns {number} - Duration in milliseconds
+ */
+function audioDurationMs(format, bytes) {
+  return bytes / bytesPerSample(format) / format.sampleRate * 1000;
+}
+
+/**
+ * Check whether audio is all silence (the format's silence byte, as used for padding)
+ * @param {Buffer} audio - Audio in a media format
+ * @param {Object} format - Media format
+ * @returns {boolean}
+ */
+function isSilence(audio, format) {
+  return audio.every(byte => byte === format.silenceByte);
+}
+
+/**
+ * @param {Buffer} audio - Audio in the given format
+ * @param {Object} format - Audio format: { encoding: 'mulaw'|'alaw'|'slin'|'pcm16', sampleRate }
+ * @returns {Buffer} - 16-bit PCM audio (little-endian) at the same rate
+ */
+function decodeToPcm16(audio, format) {
+  switch (format.encoding) {
+    case 'mulaw': return mulawToPcm16(audio);
+    case 'alaw': return alawToPcm16(audio);
+    case 'slin': return swapBytes16(audio);
+    case 'pcm16': return audio;
+    default: throw new Error(`Unsupported audio encoding: ${format.encoding}`);
+  }
+}
+
+/**
+ * @param {Buffer} pcm - 16-bit PCM audio (little-endian)
+ * @param {Object} format - Audio format to encode to
+ * @returns {Buffer} - Audio in that format
+ */
+function encodeFromPcm16(pcm, format) {
+  switch (format.encoding) {
+    case 'mulaw': return pcm16ToMulaw(pcm);
+    case 'alaw': return pcm16ToAlaw(pcm);
+    case 'slin': return swapBytes16(pcm);
+    case 'pcm16': return pcm;
+    default: throw new Error(`Unsupported audio encoding: ${format.encoding}`);
+  }
+}
+
+const CONVERTER_RATES = [8000, 16000, 24000];
+
+/**
+ * Converts one audio stream between two formats, e.g. a provider's output to the call's media
+ * format. Resampling keeps its filter state between chunks.
+ */
+class AudioConverter {
+  /**
+   * @param {Object} from - Input format: { encoding, sampleRate }
+   * @param {Object} to - Output format: { encoding, sampleRate }
+   */
+  constructor(from, to) {
+    for (const format of [from, to]) {
+      if (!CONVERTER_RATES.includes(format.sampleRate)) {
+        throw new Error(`Unsupported audio format: ${format.encoding} at ${format.sampleRate}Hz`);
+      }
+    }
+    this.from = from;
+    this.to = to;
+    this.passThrough = from.encoding === to.encoding && from.sampleRate === to.sampleRate;
+    this.resampler = from.sampleRate !== to.sampleRate ? createResampler(from.sampleRate, to.sampleRate) : null;
+  }
+
+  /**
+   * @param {Buffer} audio - Audio in the input format
+   * @returns {Buffer} - Audio in the output format
+   */
+  convert(audio) {
+    if (this.passThrough) return audio;
+    const pcm = decodeToPcm16(audio, this.from);
+    return encodeFromPcm16(this.resampler ? this.resampler.process(pcm) : pcm, this.to);
+  }
+
+  // Drop the resampler state, e.g. when playback is interrupted
+  reset() {
+    if (this.resampler) this.resampler.reset();
+  }
+}
+
+/**
+ * @param {Object} from - Input format: { encoding, sampleRate }
+ * @param {Object} to - Output format: { encoding, sampleRate }
+ * @returns {AudioConverter}
+ */
+function createConverter(from, to) {
+  return new AudioConverter(from, to);
+}
+
+/**
+ * Convert provider output audio for Asterisk
+ * Stateless, for a complete buffer. Streams should use createConverter().
+ * @param {Buffer} audio - Audio from an AI provider
+ * @param {Object} format - Provider output format: { encoding: 'mulaw'|'alaw'|'pcm16', sampleRate }
+ * @param {Object} [mediaFormat] - The call's media format (default: ulaw)
+ * @returns {Buffer} - Audio in the media format
+ */
+function convertToAsterisk(audio, format, mediaFormat = MEDIA_FORMATS.ulaw) {
+  return createConverter(format, mediaFormat).convert(audio);
+}
+
 module.exports = {
   mulawToPcm16,
   pcm16ToMulaw,
+  alawToPcm16,
+  pcm16ToAlaw,
+  swapBytes16,
   resample8to16,
   resample16to8,
   resample24to8,
+  resample8to24,
+  Resampler,
+  createResampler,
   convertAsteriskToGemini,
   convertGeminiToAsterisk,
   convertAsteriskToOpenAI,
-  convertOpenAIToAsterisk
+  convertOpenAIToAsterisk,
+  convertToAsterisk,
+  MEDIA_FORMATS,
+  getMediaFormat,
+  bytesPerSample,
+  bytesForMs,
+  audioDurationMs,
+  isSilence,
+  decodeToPcm16,
+  encodeFromPcm16,
+  AudioConverter,
+  createConverter
 };
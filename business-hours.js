@@ -0,0 +1,87 @@
+const { config } = require('./config');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Parse an opening hours specification
+ * Format: "mon-fri 09:00-17:00; sat 10:00-14:00" (days may also be comma separated). A range that
+ * closes before its opening time runs past midnight: "fri,sat 22:00-02:00" is open from Friday
+ * 22:00 to Saturday 02:00 and from Saturday 22:00 to Sunday 02:00. "00:00-24:00" is open all day,
+ * a range that opens and closes at the same time is rejected.
+ * @param {string} spec - Opening hours specification
+ * @returns {Array<{days: number[], open: number, close: number}>} - Rules with minutes since midnight
+ */
+function parseOpeningHours(spec) {
+  if (!spec || spec.trim() === '') return [];
+  return spec.split(';').map(rule => rule.trim()).filter(Boolean).map((rule) => {
+    const match = rule.match(/^([a-z,\-\s]+)\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/i);
+    if (!match) {
+      throw new Error(`Invalid opening hours rule: "${rule}"`);
+    }
+    const days = [];
+    for (const part of match[1].replace(/\s/g, '').toLowerCase().split(',')) {
+      const [from, to = from] = part.split('-');
+      const start = DAYS.indexOf(from);
+      const end = DAYS.indexOf(to);
+      if (start === -1 || end === -1) {
+        throw new Error(`Invalid day in opening hours rule: "${rule}"`);
+      }
+      for (let d = start; ; d = (d + 1) % 7) {
+        days.push(d);
+        if (d === end) break;
+      }
+    }
+    const open = parseInt(match[2]) * 60 + parseInt(match[3]);
+    const close = parseInt(match[4]) * 60 + parseInt(match[5]);
+    if (parseInt(match[3]) > 59 || parseInt(match[5]) > 59 || open >= 24 * 60 || close > 24 * 60) {
+      throw new Error(`Invalid time in opening hours rule: "${rule}"`);
+    }
+    if (open === close) {
+      throw new Error(`Opening hours rule opens and closes at the same time, use 00:00-24:00 for all day: "${rule}"`);
+    }
+    return { days, open, close };
+  });
+}
+
+/**
+ * Get the weekday and time of day for a date in the configured timezone
+ * @param {Date} date - Point in time
+ * @param {string} [timeZone] - IANA timezone (defaults to TIMEZONE config)
+ * @returns {{day: number, minutes: number}}
+ */
+function getLocalTime(date = new Date(), timeZone = config.TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    day: DAYS.indexOf(get('weekday').toLowerCase()),
+    minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+  };
+}
+
+/**
+ * Check whether the business is open at a given time
+ * @param {Date} [date] - Point in time (defaults to now)
+ * @param {string} [spec] - Opening hours specification (defaults to OPENING_HOURS config)
+ * @returns {boolean|null} - null when no opening hours are configured
+ */
+function isOpen(date = new Date(), spec = config.OPENING_HOURS) {
+  const rules = parseOpeningHours(spec);
+  if (rules.length === 0) return null;
+  const { day, minutes } = getLocalTime(date);
+  return rules.some((rule) => {
+    if (rule.open < rule.close) {
+      return rule.days.includes(day) && minutes >= rule.open && minutes < rule.close;
+    }
+    // Past midnight: from the opening time on a listed day until the closing time the day after
+    const previousDay = (day + 6) % 7;
+    return (rule.days.includes(day) && minutes >= rule.open) || (rule.days.includes(previousDay) && minutes < rule.close);
+  });
+}
+
+module.exports = { parseOpeningHours, getLocalTime, isOpen };
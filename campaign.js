@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config, logger } = require('./config');
+const { NoCapacityError, originateCall } = require('./outbound');
+const { waitForCallSlot } = require('./admission');
+
+logger.info('Loading campaign.js module');
+
+// CSV columns with a special meaning, every other column is passed to the call as a variable
+const OPTION_COLUMNS = { endpoint: 'endpoint', prompt: 'prompt', initial_message: 'initialMessage', profile: 'profile', caller_id: 'callerId' };
+const RESULT_COLUMNS = ['row', 'status', 'cause', 'cause_text', 'end_reason', 'duration_seconds', 'channel_id', 'started_at'];
+
+// How often a campaign waiting for a free call slot checks whether it was stopped
+const SLOT_WAIT_MS = 1000;
+
+// Campaigns started since the application started, by campaign ID
+const campaigns = new Map();
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of fields
+ * @param {string} text - CSV content
+ * @returns {string[][]} - Rows, blank lines skipped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function toCsvLine(values) {
+  return `${values.map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')}\n`;
+}
+
+/**
+ * Read the rows of a campaign CSV
+ * The first line is the header and must contain a "number" or "endpoint" column.
+ * @param {string} text - CSV content
+ * @returns {{ columns: string[], rows: Object[] }}
+ */
+function parseCampaignCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    throw new Error('Campaign CSV is empty');
+  }
+  const columns = header.map(column => column.trim());
+  if (!columns.includes('number') && !columns.includes('endpoint')) {
+    throw new Error('Campaign CSV needs a "number" or "endpoint" column');
+  }
+  const rows = lines.map(line => Object.fromEntries(columns.map((column, i) => [column, (line[i] || '').trim()])));
+  return { columns, rows };
+}
+
+function buildCallOptions(campaign, row) {
+  const options = { prompt: campaign.prompt, initialMessage: campaign.initialMessage, profile: campaign.profile, variables: {} };
+  for (const [column, value] of Object.entries(row)) {
+    if (value === '') continue;
+    if (column === 'number') {
+      options.number = value;
+    } else if (OPTION_COLUMNS[column]) {
+      options[OPTION_COLUMNS[column]] = value;
+    } else {
+      options.variables[column] = value;
+    }
+  }
+  return options;
+}
+
+// Dial once a call slot is free, null when the campaign is stopped while waiting
+async function originateWhenFree(campaign, options) {
+  while (!campaign.stopped) {
+    try {
+      return await originateCall(options);
+    } catch (e) {
+      if (!(e instanceof NoCapacityError)) throw e;
+    }
+    await waitForCallSlot(SLOT_WAIT_MS);
+  }
+  return null;
+}
+
+async function callRow(campaign, index) {
+  const row = campaign.rows[index];
+  const result = campaign.results[index];
+  let outcome;
+  try {
+    const call = await originateWhenFree(campaign, buildCallOptions(campaign, row));
+    if (!call) return; // The row stays pending
+    result.status = 'calling';
+    result.startedAt = new Date().toISOString();
+    result.channelId = call.channelId;
+    outcome = await call.outcome;
+  } catch (e) {
+    logger.error(`Campaign ${campaign.id} row ${index + 1}: ${e.message}`);
+    result.startedAt = result.startedAt || new Date().toISOString();
+    outcome = { status: 'failed', cause: null, causeText: e.message, endReason: null, durationSeconds: 0 };
+  }
+  Object.assign(result, {
+    status: outcome.status,
+    cause: outcome.cause,
+    causeText: outcome.causeText,
+    endReason: outcome.endReason,
+    durationSeconds: outcome.durationSeconds
+  });
+  campaign.counts[outcome.status] = (campaign.counts[outcome.status] || 0) + 1;
+  await fs.promises.appendFile(campaign.resultsFile, toCsvLine([
+    ...campaign.columns.map(column => row[column]),
+    index + 1, result.status, result.cause, result.causeText, result.endReason, result.durationSeconds, result.channelId, result.startedAt
+  ]));
+}
+
+async function runCampaign(campaign) {
+  let next = 0;
+  const worker = async () => {
+    while (next < campaign.rows.length && !campaign.stopped) {
+      const index = next++;
+      try {
+        await callRow(campaign, index);
+      } catch (e) {
+        logger.error(`Campaign ${campaign.id} row ${index + 1} error: ${e.message}`);
+      }
+    }
+  };
+  const workers = Math.min(campaign.concurrency, campaign.rows.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  campaign.status = campaign.stopped ? 'stopped' : 'completed';
+  campaign.endTime = new Date();
+  logger.info(`Campaign ${campaign.id} ${campaign.status}: ${JSON.stringify(campaign.counts)}, results in ${campaign.resultsFile}`);
+}
+
+/**
+ * Resolve the CSV file of a campaign inside CAMPAIGN_INPUT_DIR
+ * @param {string} name - File name, relative to CAMPAIGN_INPUT_DIR
+ * @returns {Promise<string>} - Real path of the file, rejects for paths outside the directory
+ */
+async function resolveCampaignFile(name) {
+  if (!config.CAMPAIGN_INPUT_DIR) {
+    throw new Error('Campaign files are disabled, set CAMPAIGN_INPUT_DIR or send the CSV inline');
+  }
+  const dir = await fs.promises.realpath(path.resolve(__dirname, config.CAMPAIGN_INPUT_DIR));
+  const inside = (file) => {
+    const relative = path.relative(dir, file);
+    return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+  // Checked before touching the file system, so nothing is learned about files elsewhere
+  if (!inside(path.resolve(dir, name))) {
+    throw new Error(`Campaign file "${name}" is outside CAMPAIGN_INPUT_DIR`);
+  }
+  let file;
+  try {
+    file = await fs.promises.realpath(path.resolve(dir, name));
+  } catch (e) {
+    throw new Error(`Campaign file "${name}" not found in CAMPAIGN_INPUT_DIR`);
+  }
+  // Symlinks must not lead out of the directory either
+  if (!inside(file)) {
+    throw new Error(`Campaign file "${name}" is outside CAMPAIGN_INPUT_DIR`);
+  }
+  return file;
+}
+
+/**
+ * Start an outbound calling campaign in the background
+ * Each CSV row becomes one call. The columns endpoint, prompt, initial_message, profile and caller_id
+ * override the call options, every other column is passed to the call as a variable. Outcomes are
+ * appended to CAMPAIGN_DIR/<id>.csv as calls finish.
+ * @param {Object} options - Campaign options
+ * @param {string} [options.csv] - CSV content
+ * @param {string} [options.file] - Name of a CSV file in CAMPAIGN_INPUT_DIR, used when csv is not given
+ * @param {number} [options.concurrency] - Maximum simultaneous calls (default: CAMPAIGN_CONCURRENCY)
+ * @param {string} [options.prompt] - Default system prompt for the calls
+ * @param {string} [options.initialMessage] - Default initial message for the calls
+ * @param {string} [options.profile] - Default call profile for the calls
+ * @returns {Promise<Object>} - Campaign status
+ */
+async function startCampaign(options = {}) {
+  const text = options.csv !== undefined ? options.csv : await fs.promises.readFile(await resolveCampaignFile(options.file), 'utf8');
+  const { columns, rows } = parseCampaignCsv(text);
+  const id = crypto.randomUUID();
+  const dir = path.resolve(__dirname, config.CAMPAIGN_DIR);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const campaign = {
+    id,
+    status: 'running',
+    concurrency: Math.max(1, parseInt(options.concurrency) || config.CAMPAIGN_CONCURRENCY),
+    prompt: options.prompt,
+    initialMessage: options.initialMessage,
+    profile: options.profile,
+    columns,
+    rows,
+    results: rows.map(row => ({ number: row.number || row.endpoint, status: 'pending', cause: null, causeText: '', endReason: null, durationSeconds: 0, channelId: null, startedAt: null })),
+    counts: {},
+    stopped: false,
+    startTime: new Date(),
+    endTime: null,
+    resultsFile: path.join(dir, `${id}.csv`)
+  };
+  await fs.promises.writeFile(campaign.resultsFile, toCsvLine([...columns, ...RESULT_COLUMNS]));
+  campaigns.set(id, campaign);
+  logger.info(`Campaign ${id} started: ${rows.length} calls, concurrency ${campaign.concurrency}`);
+  runCampaign(campaign).catch(e => logger.error(`Campaign ${id} error: ${e.message}`));
+  return describeCampaign(campaign);
+}
+
+/**
+ * Stop a campaign from placing new calls, calls in progress continue
+ * @param {string} id - Campaign ID
+ * @returns {Object|null} - Campaign status, null if unknown
+ */
+function stopCampaign(id) {
+  const campaign = campaigns.get(id);
+  if (!campaign) return null;
+  if (campaign.status === 'running') {
+    campaign.stopped = true;
+    logger.info(`Campaign ${id} stopping, no new calls will be placed`);
+  }
+  return describeCampaign(campaign);
+}
+
+function describeCampaign(campaign, { withResults = false } = {}) {
+  const summary = {
+    id: campaign.id,
+    status: campaign.stopped && campaign.status === 'running' ? 'stopping' : campaign.status,
+    total: campaign.rows.length,
+    concurrency: campaign.concurrency,
+    counts: { ...campaign.counts },
+    pending: campaign.results.filter(r => r.status === 'pending').length,
+    inProgress: campaign.results.filter(r => r.status === 'calling').length,
+    startTime: campaign.startTime.toISOString(),
+    endTime: campaign.endTime ? campaign.endTime.toISOString() : null,
+    resultsFile: campaign.resultsFile
+  };
+  if (withResults) {
+    summary.results = campaign.results.map((result, i) => ({ row: i + 1, ...result }));
+  }
+  return summary;
+}
+
+/**
+ * Get a campaign with its per-row results
+ * @param {string} id - Campaign ID
+ * @returns {Object|null}
+ */
+function getCampaign(id) {
+  const campaign = campaigns.get(id);
+  return campaign ? describeCampaign(campaign, { withResults: true }) : null;
+}
+
+/**
+ * List all campaigns without their per-row results
+ * @returns {Object[]}
+ */
+function listCampaigns() {
+  return [...campaigns.values()].map(campaign => describeCampaign(campaign));
+}
+
+module.exports = { parseCsv, parseCampaignCsv, startCampaign, stopCampaign, getCampaign, listCampaigns };
@@ -22,35 +22,103 @@ const baseConfig = {
   ARI_APP: 'asterisk_to_openai_rt',
   RTP_PORT_START: 12000,
   MAX_CONCURRENT_CALLS: parseInt(process.env.MAX_CONCURRENT_CALLS) || 10,
+  OVERFLOW_ACTION: (process.env.OVERFLOW_ACTION || 'reject').toLowerCase(),
+  OVERFLOW_TARGET: process.env.OVERFLOW_TARGET || '',
+  OVERFLOW_HANGUP_CAUSE: process.env.OVERFLOW_HANGUP_CAUSE || 'busy',
+  QUEUE_MAX_LENGTH: process.env.QUEUE_MAX_LENGTH !== undefined ? parseInt(process.env.QUEUE_MAX_LENGTH) : 10,
+  QUEUE_TIMEOUT_SECONDS: process.env.QUEUE_TIMEOUT_SECONDS !== undefined ? parseInt(process.env.QUEUE_TIMEOUT_SECONDS) : 300,
+  QUEUE_MOH_CLASS: process.env.QUEUE_MOH_CLASS || 'default',
+  QUEUE_ANNOUNCE_INTERVAL_SECONDS: process.env.QUEUE_ANNOUNCE_INTERVAL_SECONDS !== undefined ? parseInt(process.env.QUEUE_ANNOUNCE_INTERVAL_SECONDS) : 30,
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
   SYSTEM_PROMPT: process.env.SYSTEM_PROMPT,
   INITIAL_MESSAGE: process.env.INITIAL_MESSAGE || 'Hi',
   SILENCE_PADDING_MS: parseInt(process.env.SILENCE_PADDING_MS) || 100,
-  CALL_DURATION_LIMIT_SECONDS: parseInt(process.env.CALL_DURATION_LIMIT_SECONDS) || 0
+  CALL_DURATION_LIMIT_SECONDS: parseInt(process.env.CALL_DURATION_LIMIT_SECONDS) || 0,
+  EXTERNAL_MEDIA_FORMAT: (process.env.EXTERNAL_MEDIA_FORMAT || 'ulaw').toLowerCase(),
+  RTP_PAYLOAD_TYPE: process.env.RTP_PAYLOAD_TYPE ? parseInt(process.env.RTP_PAYLOAD_TYPE) : null,
+  RTCP_INTERVAL_MS: process.env.RTCP_INTERVAL_MS !== undefined ? parseInt(process.env.RTCP_INTERVAL_MS) : 5000,
+  LOCAL_VAD_ENABLED: process.env.LOCAL_VAD_ENABLED === 'true',
+  LOCAL_VAD_THRESHOLD_DB: process.env.LOCAL_VAD_THRESHOLD_DB !== undefined ? parseFloat(process.env.LOCAL_VAD_THRESHOLD_DB) : -35,
+  LOCAL_VAD_MAX_ZCR: parseFloat(process.env.LOCAL_VAD_MAX_ZCR) || 0.3,
+  LOCAL_VAD_START_MS: parseInt(process.env.LOCAL_VAD_START_MS) || 100,
+  LOCAL_VAD_HANGOVER_MS: parseInt(process.env.LOCAL_VAD_HANGOVER_MS) || 300,
+  LOCAL_VAD_GATE: process.env.LOCAL_VAD_GATE === 'true',
+  LOCAL_VAD_GATE_TAIL_MS: parseInt(process.env.LOCAL_VAD_GATE_TAIL_MS) || 1000,
+  JITTER_BUFFER_MAX_MS: process.env.JITTER_BUFFER_MAX_MS !== undefined ? parseInt(process.env.JITTER_BUFFER_MAX_MS) : 100,
+  TOOLS_DIR: process.env.TOOLS_DIR || './tools',
+  OPENING_HOURS: process.env.OPENING_HOURS || '',
+  TIMEZONE: process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  TRANSFER_ALLOWLIST: (process.env.TRANSFER_ALLOWLIST || '').split(',').map(t => t.trim()).filter(Boolean),
+  TRANSFER_CONTEXT: process.env.TRANSFER_CONTEXT || 'default',
+  END_CALL_ENABLED: process.env.END_CALL_ENABLED !== 'false',
+  DTMF_ENABLED: process.env.DTMF_ENABLED !== 'false',
+  DTMF_INTERDIGIT_TIMEOUT_MS: parseInt(process.env.DTMF_INTERDIGIT_TIMEOUT_MS) || 3000,
+  DTMF_TERMINATOR: process.env.DTMF_TERMINATOR !== undefined ? process.env.DTMF_TERMINATOR : '#',
+  PROFILES_DIR: process.env.PROFILES_DIR || './profiles',
+  PROFILE_VARIABLE: process.env.PROFILE_VARIABLE || 'AI_PROFILE',
+  TEMPLATE_VARIABLES: (process.env.TEMPLATE_VARIABLES || '').split(',').map(v => v.trim()).filter(Boolean),
+  TRANSCRIPTS_ENABLED: process.env.TRANSCRIPTS_ENABLED !== 'false',
+  TRANSCRIPT_DIR: process.env.TRANSCRIPT_DIR || './transcripts',
+  WEBHOOK_URL: process.env.WEBHOOK_URL || '',
+  WEBHOOK_TOKEN: process.env.WEBHOOK_TOKEN || '',
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  WEBHOOK_MAX_RETRIES: process.env.WEBHOOK_MAX_RETRIES !== undefined ? parseInt(process.env.WEBHOOK_MAX_RETRIES) : 3,
+  WEBHOOK_RETRY_DELAY_MS: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000,
+  WEBHOOK_SPOOL_DIR: process.env.WEBHOOK_SPOOL_DIR || './webhook-spool',
+  WEBHOOK_SPOOL_RETRY_INTERVAL_MS: parseInt(process.env.WEBHOOK_SPOOL_RETRY_INTERVAL_MS) || 60000,
+  WEBHOOK_EXTRACT_FIELDS: (process.env.WEBHOOK_EXTRACT_FIELDS || '').split(',').map(f => f.trim()).filter(Boolean),
+  CALL_RECORDING_ENABLED: process.env.CALL_RECORDING_ENABLED === 'true',
+  RECORDING_DIR: process.env.RECORDING_DIR || './recordings',
+  ADMIN_API_PORT: parseInt(process.env.ADMIN_API_PORT) || 0,
+  ADMIN_API_HOST: process.env.ADMIN_API_HOST || '127.0.0.1',
+  ADMIN_API_TOKEN: process.env.ADMIN_API_TOKEN || '',
+  METRICS_PORT: parseInt(process.env.METRICS_PORT) || 0,
+  METRICS_HOST: process.env.METRICS_HOST || '127.0.0.1',
+  OUTBOUND_ENDPOINT: process.env.OUTBOUND_ENDPOINT || 'PJSIP/{{number}}',
+  OUTBOUND_CALLER_ID: process.env.OUTBOUND_CALLER_ID || '',
+  OUTBOUND_TIMEOUT_SECONDS: parseInt(process.env.OUTBOUND_TIMEOUT_SECONDS) || 30,
+  CAMPAIGN_CONCURRENCY: parseInt(process.env.CAMPAIGN_CONCURRENCY) || 2,
+  CAMPAIGN_DIR: process.env.CAMPAIGN_DIR || './campaigns',
+  CAMPAIGN_INPUT_DIR: process.env.CAMPAIGN_INPUT_DIR || '',
+  FAILOVER_CHAIN: (process.env.FAILOVER_CHAIN || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean),
+  FAILOVER_EXTENSION: process.env.FAILOVER_EXTENSION || '',
+  FAILOVER_APOLOGY: process.env.FAILOVER_APOLOGY !== undefined ? process.env.FAILOVER_APOLOGY : 'sound:an-error-has-occurred'
 };
 
 // OpenAI-specific configuration
-const openaiConfig = {
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  REALTIME_URL: `wss://api.openai.com/v1/realtime?model=${process.env.REALTIME_MODEL || 'gpt-4o-mini-realtime-preview-2024-12-17'}`,
-  OPENAI_VOICE: process.env.OPENAI_VOICE || 'alloy',
-  VAD_THRESHOLD: parseFloat(process.env.VAD_THRESHOLD) || 0.6,
-  VAD_PREFIX_PADDING_MS: Number(process.env.VAD_PREFIX_PADDING_MS) || 200,
-  VAD_SILENCE_DURATION_MS: Number(process.env.VAD_SILENCE_DURATION_MS) || 600
-};
+const buildOpenAIConfig = (env) => ({
+  OPENAI_API_KEY: env.OPENAI_API_KEY,
+  REALTIME_MODEL: env.REALTIME_MODEL || 'gpt-4o-mini-realtime-preview-2024-12-17',
+  REALTIME_URL: env.REALTIME_URL || `wss://api.openai.com/v1/realtime?model=${env.REALTIME_MODEL || 'gpt-4o-mini-realtime-preview-2024-12-17'}`,
+  OPENAI_VOICE: env.OPENAI_VOICE || 'alloy',
+  VAD_THRESHOLD: parseFloat(env.VAD_THRESHOLD) || 0.6,
+  VAD_PREFIX_PADDING_MS: Number(env.VAD_PREFIX_PADDING_MS) || 200,
+  VAD_SILENCE_DURATION_MS: Number(env.VAD_SILENCE_DURATION_MS) || 600
+});
 
 // Gemini-specific configuration
-const geminiConfig = {
-  GEMINI_API_KEY: process.env.GEMINI_API_KEY,
-  GEMINI_URL: `wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent`,
-  GEMINI_MODEL: process.env.GEMINI_MODEL || 'models/gemini-2.0-flash-exp',
-  GEMINI_VOICE: process.env.GEMINI_VOICE || 'Puck'
+const buildGeminiConfig = (env) => ({
+  GEMINI_API_KEY: env.GEMINI_API_KEY,
+  GEMINI_URL: env.GEMINI_URL || 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent',
+  GEMINI_MODEL: env.GEMINI_MODEL || 'models/gemini-2.0-flash-exp',
+  GEMINI_VOICE: env.GEMINI_VOICE || 'Puck',
+  GEMINI_COMPRESSION_TRIGGER_TOKENS: Number(env.GEMINI_COMPRESSION_TRIGGER_TOKENS) || 0,
+  GEMINI_COMPRESSION_TARGET_TOKENS: Number(env.GEMINI_COMPRESSION_TARGET_TOKENS) || 0
+});
+
+// Provider-specific configuration from an environment-style object (process.env or a profile)
+// Other backends in providers/ read their own <PROVIDER>_* settings.
+const buildProviderConfig = (provider, env) => {
+  if (provider === 'gemini') return buildGeminiConfig(env);
+  if (provider === 'openai') return buildOpenAIConfig(env);
+  const prefix = `${provider.toUpperCase()}_`;
+  return Object.fromEntries(Object.entries(env).filter(([key]) => key.startsWith(prefix)));
 };
 
 // Merge configurations based on provider
 const config = {
   ...baseConfig,
-  ...(AI_PROVIDER === 'gemini' ? geminiConfig : openaiConfig)
+  ...buildProviderConfig(AI_PROVIDER, process.env)
 };
 
 // Debug logging of loaded configuration
@@ -63,7 +131,8 @@ console.log('Loaded configuration:', {
   LOG_LEVEL: config.LOG_LEVEL,
   SYSTEM_PROMPT: config.SYSTEM_PROMPT ? 'set' : 'unset',
   MODEL: config.GEMINI_MODEL || 'OpenAI Realtime',
-  VOICE: config.GEMINI_VOICE || config.OPENAI_VOICE
+  VOICE: config.GEMINI_VOICE || config.OPENAI_VOICE,
+  EXTERNAL_MEDIA_FORMAT: config.EXTERNAL_MEDIA_FORMAT
 });
 
 // Logger configuration
@@ -109,6 +178,52 @@ if (config.CALL_DURATION_LIMIT_SECONDS < 0) {
 }
 logger.info(`CALL_DURATION_LIMIT_SECONDS set to ${config.CALL_DURATION_LIMIT_SECONDS} seconds`);
 
+if (!['ulaw', 'alaw', 'slin16', 'slin24'].includes(config.EXTERNAL_MEDIA_FORMAT)) {
+  logger.error(`EXTERNAL_MEDIA_FORMAT must be ulaw, alaw, slin16 or slin24 in ${configFile}`);
+  process.exit(1);
+}
+
+if (config.RTP_PAYLOAD_TYPE !== null && !(config.RTP_PAYLOAD_TYPE >= 0 && config.RTP_PAYLOAD_TYPE <= 127)) {
+  logger.error(`RTP_PAYLOAD_TYPE must be between 0 and 127 in ${configFile}`);
+  process.exit(1);
+}
+
+if (!(config.RTCP_INTERVAL_MS >= 0)) {
+  logger.error(`RTCP_INTERVAL_MS must be 0 or more in ${configFile}`);
+  process.exit(1);
+}
+
+if (!(config.LOCAL_VAD_THRESHOLD_DB <= 0)) {
+  logger.error(`LOCAL_VAD_THRESHOLD_DB must be 0 or below (dBFS) in ${configFile}`);
+  process.exit(1);
+}
+
+if (!['reject', 'redirect', 'queue'].includes(config.OVERFLOW_ACTION)) {
+  logger.error(`OVERFLOW_ACTION must be reject, redirect or queue in ${configFile}`);
+  process.exit(1);
+}
+
+if (config.OVERFLOW_ACTION === 'redirect' && !config.OVERFLOW_TARGET) {
+  logger.error(`OVERFLOW_TARGET is required with OVERFLOW_ACTION=redirect in ${configFile}`);
+  process.exit(1);
+}
+
+// Hangup reasons ARI accepts
+if (!['normal', 'busy', 'congestion', 'no_answer', 'timeout', 'rejected', 'unallocated', 'normal_unspecified', 'number_incomplete', 'codec_mismatch', 'interworking', 'failure', 'answered_elsewhere'].includes(config.OVERFLOW_HANGUP_CAUSE)) {
+  logger.error(`OVERFLOW_HANGUP_CAUSE must be an ARI hangup reason such as busy, congestion or rejected in ${configFile}`);
+  process.exit(1);
+}
+
+if (!(config.QUEUE_MAX_LENGTH >= 0) || !(config.QUEUE_TIMEOUT_SECONDS >= 0) || !(config.QUEUE_ANNOUNCE_INTERVAL_SECONDS >= 0)) {
+  logger.error(`QUEUE_MAX_LENGTH, QUEUE_TIMEOUT_SECONDS and QUEUE_ANNOUNCE_INTERVAL_SECONDS must be 0 or more in ${configFile}`);
+  process.exit(1);
+}
+
+if (!(config.JITTER_BUFFER_MAX_MS >= 0)) {
+  logger.error(`JITTER_BUFFER_MAX_MS must be 0 or more in ${configFile}`);
+  process.exit(1);
+}
+
 // Validate provider-specific API keys
 if (AI_PROVIDER === 'openai') {
   if (!config.OPENAI_API_KEY || config.OPENAI_API_KEY.trim() === '') {
@@ -139,9 +254,19 @@ const logGemini = logAI;
 
 module.exports = {
   config,
+  buildProviderConfig,
   logger,
   logClient,
   logOpenAI,
   logGemini,
   logAI
 };
+
+// Loaded after the exports are set, business-hours.js reads config
+const { parseOpeningHours } = require('./business-hours');
+try {
+  parseOpeningHours(config.OPENING_HOURS);
+} catch (e) {
+  logger.error(`OPENING_HOURS is invalid in ${configFile}: ${e.message}`);
+  process.exit(1);
+}
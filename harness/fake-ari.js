@@ -0,0 +1,389 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { v4: uuid } = require('uuid');
+
+// ARI operations the app uses, by resource: [nickname, method, path, query/body params, response class].
+// A '+' marks a JSON body parameter. Swagger docs for ari-client are generated from this table.
+const OPERATIONS = {
+  channels: [
+    ['originate', 'POST', '/channels', ['endpoint', 'app', 'appArgs', 'channelId', 'timeout', 'callerId', '+variables'], 'Channel'],
+    ['externalMedia', 'POST', '/channels/externalMedia', ['channelId', 'app', 'external_host', 'encapsulation', 'transport', 'connection_type', 'format', 'direction', '+variables'], 'Channel'],
+    ['get', 'GET', '/channels/{channelId}', [], 'Channel'],
+    ['hangup', 'DELETE', '/channels/{channelId}', ['reason'], 'void'],
+    ['answer', 'POST', '/channels/{channelId}/answer', [], 'void'],
+    ['continueInDialplan', 'POST', '/channels/{channelId}/continue', ['context', 'extension', 'priority', 'label'], 'void'],
+    ['redirect', 'POST', '/channels/{channelId}/redirect', ['endpoint'], 'void'],
+    ['play', 'POST', '/channels/{channelId}/play', ['media', 'lang', 'playbackId'], 'Playback'],
+    ['startMoh', 'POST', '/channels/{channelId}/moh', ['mohClass'], 'void'],
+    ['stopMoh', 'DELETE', '/channels/{channelId}/moh', [], 'void'],
+    ['getChannelVar', 'GET', '/channels/{channelId}/variable', ['variable'], 'Variable']
+  ],
+  bridges: [
+    ['create', 'POST', '/bridges', ['type', 'bridgeId', 'name'], 'Bridge'],
+    ['get', 'GET', '/bridges/{bridgeId}', [], 'Bridge'],
+    ['destroy', 'DELETE', '/bridges/{bridgeId}', [], 'void'],
+    ['addChannel', 'POST', '/bridges/{bridgeId}/addChannel', ['channel'], 'void'],
+    ['removeChannel', 'POST', '/bridges/{bridgeId}/removeChannel', ['channel'], 'void']
+  ],
+  playbacks: [
+    ['get', 'GET', '/playbacks/{playbackId}', [], 'Playback'],
+    ['stop', 'DELETE', '/playbacks/{playbackId}', [], 'void']
+  ],
+  events: []
+};
+
+// Events the fake emits and their typed properties, ari-client turns Channel and Playback into objects
+const EVENT_MODELS = {
+  StasisStart: { channel: 'Channel', args: 'List[string]' },
+  StasisEnd: { channel: 'Channel' },
+  ChannelDestroyed: { channel: 'Channel', cause: 'int', cause_txt: 'string' },
+  ChannelDtmfReceived: { channel: 'Channel', digit: 'string', duration_ms: 'int' },
+  PlaybackStarted: { playback: 'Playback' },
+  PlaybackFinished: { playback: 'Playback' }
+};
+
+const CAUSES = { 16: 'Normal Clearing', 17: 'User busy', 19: 'No answer' };
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function apiDeclaration(resource, basePath) {
+  const apis = OPERATIONS[resource].map(([nickname, method, path, params, responseClass]) => {
+    const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({ name, paramType: 'path', required: true, allowMultiple: false, dataType: 'string' }));
+    const otherParams = params.map(param => param.startsWith('+')
+      ? { name: param.slice(1), paramType: 'body', required: false, allowMultiple: false, dataType: 'containers' }
+      : { name: param, paramType: 'query', required: false, allowMultiple: false, dataType: 'string' });
+    return { path, operations: [{ httpMethod: method, nickname, responseClass, parameters: [...pathParams, ...otherParams] }] };
+  });
+  const models = {};
+  if (resource === 'events') {
+    for (const [id, props] of Object.entries(EVENT_MODELS)) {
+      models[id] = { id, properties: Object.fromEntries(Object.entries(props).map(([name, type]) => [name, { type, required: false }])) };
+    }
+  }
+  return { apiVersion: '2.0.0', swaggerVersion: '1.2', basePath, resourcePath: `/api-docs/${resource}.{format}`, apis, models };
+}
+
+/**
+ * Minimal Asterisk REST Interface for running the app without Asterisk
+ *
+ * Serves enough swagger docs for ari-client to connect, keeps channels and bridges in memory and
+ * pushes Stasis events over /ari/events. Calls are driven from the harness with placeCall(),
+ * callerHangup() and sendDtmf(). It emits:
+ * - 'media' (channelId, { address, port, format }) – the app bridged ExternalMedia for a call, RTP goes there
+ * - 'hangup' (channelId, reason) – the app hung up a channel
+ * - 'play' (channelId, media) – the app started a playback, media as comma-separated URIs
+ * - 'transfer' (channelId, { context, extension } | { endpoint }) – the app sent a call back to the dialplan
+ */
+class FakeAri extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.playbackMs=200] - How long sound playbacks take
+   * @param {Function} [options.originateOutcome] - (params) => 'answer' | 'busy' | 'no_answer' for originated calls
+   */
+  constructor({ playbackMs = 200, originateOutcome = () => 'answer' } = {}) {
+    super();
+    this.playbackMs = playbackMs;
+    this.originateOutcome = originateOutcome;
+    this.channels = new Map();
+    this.bridges = new Map();
+    this.sockets = new Set();
+    this.callCount = 0;
+    this.timers = new Set();
+    this.routes = Object.entries(OPERATIONS).flatMap(([resource, ops]) => ops.map(([nickname, method, path]) => ({
+      key: `${resource}.${nickname}`,
+      method,
+      pattern: new RegExp(`^/ari${path.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`)
+    })));
+  }
+
+  /**
+   * @param {number} [port=0] - Port to listen on, 0 picks a free one
+   * @returns {Promise<string>} - ARI_URL of the fake
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => {
+      if (!req.url.startsWith('/ari/events')) {
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        this.app = new URL(req.url, 'http://localhost').searchParams.get('app');
+        this.sockets.add(ws);
+        ws.on('close', () => this.sockets.delete(ws));
+      });
+    });
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async close() {
+    this.timers.forEach(clearTimeout);
+    this.timers.clear();
+    this.sockets.forEach(ws => ws.terminate());
+    this.wss.close();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  later(ms, fn) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, ms);
+    this.timers.add(timer);
+  }
+
+  emitEvent(type, props) {
+    const event = JSON.stringify({ type, timestamp: new Date().toISOString(), application: this.app, ...props });
+    this.sockets.forEach(ws => ws.send(event));
+  }
+
+  handleHttp(req, res) {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+      const docs = url.pathname.match(/^\/ari\/api-docs\/(\w+)\.json$/);
+      if (docs) {
+        const basePath = `${this.url}/ari`;
+        if (docs[1] === 'resources') {
+          reply(200, { apiVersion: '2.0.0', swaggerVersion: '1.2', basePath, apis: Object.keys(OPERATIONS).map(name => ({ path: `/api-docs/${name}.{format}` })) });
+        } else if (OPERATIONS[docs[1]]) {
+          reply(200, apiDeclaration(docs[1], basePath));
+        } else {
+          reply(404, { message: 'Resource not found' });
+        }
+        return;
+      }
+      for (const route of this.routes) {
+        const match = req.method === route.method && url.pathname.match(route.pattern);
+        if (!match) continue;
+        const params = { ...Object.fromEntries(url.searchParams), ...(match.groups || {}) };
+        try {
+          Object.assign(params, body ? JSON.parse(body) : {});
+          reply(200, this.handle(route.key, params));
+        } catch (e) {
+          reply(e.status || 500, { message: e.message });
+        }
+        return;
+      }
+      reply(404, { message: 'Not found' });
+    });
+  }
+
+  getChannel(channelId) {
+    const channel = this.channels.get(channelId);
+    if (!channel) throw new HttpError(404, 'Channel not found');
+    return channel;
+  }
+
+  getBridge(bridgeId) {
+    const bridge = this.bridges.get(bridgeId);
+    if (!bridge) throw new HttpError(404, 'Bridge not found');
+    return bridge;
+  }
+
+  channelJson(channel) {
+    const { id, name, state, caller, connected, dialplan } = channel;
+    return { id, name, state, caller, connected, accountcode: '', dialplan, creationtime: channel.creationtime, language: 'en' };
+  }
+
+  handle(key, params) {
+    switch (key) {
+      case 'channels.get':
+        return this.channelJson(this.getChannel(params.channelId));
+      case 'channels.answer':
+        this.getChannel(params.channelId).state = 'Up';
+        return undefined;
+      case 'channels.getChannelVar': {
+        const variables = this.getChannel(params.channelId).variables;
+        if (!(params.variable in variables)) throw new HttpError(404, 'Provided variable was not found');
+        return { value: variables[params.variable] };
+      }
+      case 'channels.hangup':
+        this.getChannel(params.channelId);
+        this.emit('hangup', params.channelId, params.reason || 'normal');
+        this.destroyChannel(params.channelId, 16);
+        return undefined;
+      case 'channels.externalMedia': {
+        const [address, port] = params.external_host.split(':');
+        const channel = this.createChannel({
+          id: params.channelId || uuid(),
+          name: `UnicastRTP/${params.external_host}-${uuid().slice(0, 8)}`,
+          state: 'Up',
+          externalHost: { address, port: Number(port), format: params.format }
+        });
+        this.later(10, () => this.emitEvent('StasisStart', { args: [], channel: this.channelJson(channel) }));
+        return this.channelJson(channel);
+      }
+      case 'channels.originate':
+        return this.channelJson(this.originate(params));
+      case 'channels.continueInDialplan':
+      case 'channels.redirect': {
+        const channel = this.getChannel(params.channelId);
+        const target = params.endpoint ? { endpoint: params.endpoint } : { context: params.context, extension: params.extension };
+        this.leaveBridge(channel);
+        this.emit('transfer', channel.id, target);
+        this.emitEvent('StasisEnd', { channel: this.channelJson(channel) });
+        // The call continues outside the app, it ends here for the harness
+        this.later(50, () => this.destroyChannel(channel.id, 16, { stasis: false }));
+        return undefined;
+      }
+      case 'channels.play': {
+        const channel = this.getChannel(params.channelId);
+        const playback = { id: params.playbackId || uuid(), media_uri: params.media, target_uri: `channel:${channel.id}`, language: 'en', state: 'playing' };
+        this.emit('play', channel.id, params.media);
+        this.emitEvent('PlaybackStarted', { playback });
+        this.later(this.playbackMs, () => this.emitEvent('PlaybackFinished', { playback: { ...playback, state: 'done' } }));
+        return playback;
+      }
+      case 'channels.startMoh':
+        this.getChannel(params.channelId).moh = params.mohClass || 'default';
+        return undefined;
+      case 'channels.stopMoh':
+        this.getChannel(params.channelId).moh = null;
+        return undefined;
+      case 'bridges.create': {
+        const bridge = { id: params.bridgeId || uuid(), technology: 'simple_bridge', bridge_type: 'mixing', bridge_class: 'stasis', channels: [] };
+        this.bridges.set(bridge.id, bridge);
+        return bridge;
+      }
+      case 'bridges.get':
+        return this.getBridge(params.bridgeId);
+      case 'bridges.destroy':
+        this.getBridge(params.bridgeId).channels.forEach(id => { this.channels.get(id).bridgeId = null; });
+        this.bridges.delete(params.bridgeId);
+        return undefined;
+      case 'bridges.addChannel': {
+        const bridge = this.getBridge(params.bridgeId);
+        const channel = this.getChannel(params.channel);
+        bridge.channels.push(channel.id);
+        channel.bridgeId = bridge.id;
+        const external = bridge.channels.map(id => this.channels.get(id)).find(c => c.externalHost);
+        const caller = bridge.channels.map(id => this.channels.get(id)).find(c => !c.externalHost);
+        if (external && caller) {
+          this.emit('media', caller.id, external.externalHost);
+        }
+        return undefined;
+      }
+      case 'bridges.removeChannel':
+        this.leaveBridge(this.getChannel(params.channel));
+        return undefined;
+      case 'playbacks.get':
+      case 'playbacks.stop':
+        throw new HttpError(404, 'Playback not found');
+      default:
+        throw new HttpError(501, `${key} is not implemented by the fake`);
+    }
+  }
+
+  createChannel(fields) {
+    const channel = {
+      state: 'Ring',
+      caller: { name: '', number: '' },
+      connected: { name: '', number: '' },
+      dialplan: { context: 'default', exten: 's', priority: 1 },
+      creationtime: new Date().toISOString(),
+      variables: {},
+      bridgeId: null,
+      moh: null, // music on hold class while on hold
+      ...fields
+    };
+    this.channels.set(channel.id, channel);
+    return channel;
+  }
+
+  leaveBridge(channel) {
+    const bridge = channel.bridgeId && this.bridges.get(channel.bridgeId);
+    if (bridge) {
+      bridge.channels = bridge.channels.filter(id => id !== channel.id);
+    }
+    channel.bridgeId = null;
+  }
+
+  destroyChannel(channelId, cause, { stasis = true } = {}) {
+    const channel = this.channels.get(channelId);
+    if (!channel) return;
+    this.leaveBridge(channel);
+    this.channels.delete(channelId);
+    const json = this.channelJson(channel);
+    if (stasis) {
+      this.emitEvent('StasisEnd', { channel: json });
+    }
+    this.emitEvent('ChannelDestroyed', { channel: json, cause, cause_txt: CAUSES[cause] || 'Unknown' });
+  }
+
+  originate(params) {
+    const outcome = this.originateOutcome(params);
+    const channel = this.createChannel({
+      id: params.channelId || uuid(),
+      name: `${params.endpoint}-${String(++this.callCount).padStart(8, '0')}`,
+      state: 'Down',
+      connected: { name: '', number: params.endpoint.split('/').pop() },
+      variables: params.variables || {}
+    });
+    this.later(100, () => {
+      if (outcome === 'answer') {
+        channel.state = 'Up';
+        const args = params.appArgs ? params.appArgs.split(',') : [];
+        this.emitEvent('StasisStart', { args, channel: this.channelJson(channel) });
+      } else {
+        this.destroyChannel(channel.id, outcome === 'busy' ? 17 : 19, { stasis: false });
+      }
+    });
+    return channel;
+  }
+
+  /**
+   * Simulate an incoming call entering the Stasis app
+   * @param {Object} [options]
+   * @param {string} [options.callerId='5551234'] - Caller number
+   * @param {string} [options.extension='1000'] - Dialled extension
+   * @param {Object} [options.variables] - Channel variables, e.g. { AI_PROFILE: 'sales' }
+   * @param {Array<string>} [options.args] - Stasis arguments
+   * @returns {string} - Channel ID
+   */
+  placeCall({ callerId = '5551234', extension = '1000', variables = {}, args = [] } = {}) {
+    const number = ++this.callCount;
+    const channel = this.createChannel({
+      id: `fake-${Date.now()}.${number}`,
+      name: `PJSIP/caller-${String(number).padStart(8, '0')}`,
+      caller: { name: 'Harness Caller', number: callerId },
+      dialplan: { context: 'default', exten: extension, priority: 1 },
+      variables
+    });
+    this.emitEvent('StasisStart', { args, channel: this.channelJson(channel) });
+    return channel.id;
+  }
+
+  /**
+   * Simulate the caller hanging up
+   * @param {string} channelId - Channel ID from placeCall()
+   */
+  callerHangup(channelId) {
+    this.destroyChannel(channelId, 16);
+  }
+
+  /**
+   * Simulate a keypad press
+   * @param {string} channelId - Channel ID from placeCall()
+   * @param {string} digit - Key pressed
+   */
+  sendDtmf(channelId, digit) {
+    this.emitEvent('ChannelDtmfReceived', { channel: this.channelJson(this.getChannel(channelId)), digit, duration_ms: 100 });
+  }
+}
+
+module.exports = { FakeAri };
@@ -0,0 +1,26 @@
+// Speed of the audio-converter resamplers: how many concurrent calls one core keeps up with.
+// Their quality is checked by harness/resampler-quality.js.
+// Usage: node harness/resampler-bench.js [--seconds n]
+Object.assign(process.env, { OPENAI_API_KEY: process.env.OPENAI_API_KEY || 'harness', LOG_LEVEL: 'error' });
+const { createResampler } = require('../audio-converter');
+const { sineBuffer, FRAME_MS } = require('./resampler-quality');
+
+const secondsIndex = process.argv.indexOf('--seconds');
+const benchSeconds = secondsIndex >= 0 ? Number(process.argv[secondsIndex + 1]) : 60;
+
+// One Gemini call resamples caller audio 8kHz -> 16kHz and assistant audio 24kHz -> 8kHz in real time
+console.log(`Throughput, ${benchSeconds}s of Gemini call audio in ${FRAME_MS}ms frames`);
+const upstream = createResampler(8000, 16000);
+const downstream = createResampler(24000, 8000);
+const callerFrame = sineBuffer(440, 8000, FRAME_MS / 1000);
+const assistantFrame = sineBuffer(440, 24000, FRAME_MS / 1000);
+const frameCount = benchSeconds * 1000 / FRAME_MS;
+const started = process.hrtime.bigint();
+for (let i = 0; i < frameCount; i++) {
+  upstream.process(callerFrame);
+  downstream.process(assistantFrame);
+}
+const elapsedSeconds = Number(process.hrtime.bigint() - started) / 1e9;
+const calls = Math.floor(benchSeconds / elapsedSeconds);
+console.log(`  ${elapsedSeconds.toFixed(2)}s of CPU time, ${(elapsedSeconds / benchSeconds * 1000).toFixed(2)}ms per second of call`);
+console.log(`  one core keeps up with about ${calls} concurrent calls`);
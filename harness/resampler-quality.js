@@ -0,0 +1,121 @@
+// Quality checks of the audio-converter resamplers: frequency response, aliasing and imaging,
+// round trips and frame boundary continuity. Run by npm test.
+// Usage: node harness/resampler-quality.js
+Object.assign(process.env, { OPENAI_API_KEY: process.env.OPENAI_API_KEY || 'harness', LOG_LEVEL: 'error' });
+const { createResampler } = require('../audio-converter');
+
+const RATIOS = [[8000, 16000], [16000, 8000], [24000, 8000], [8000, 24000]];
+const ROUND_TRIPS = [[8000, 16000], [8000, 24000]];
+const PASSBAND = [300, 1000, 2000, 3000, 3300];
+const MAX_PASSBAND_DEVIATION_DB = 0.5;
+const MIN_REJECTION_DB = 50;
+const FRAME_MS = 20;
+
+function sineBuffer(frequency, rate, seconds, amplitude = 16000) {
+  const samples = Math.round(rate * seconds);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / rate)), i * 2);
+  }
+  return pcm;
+}
+
+// Amplitude of one frequency over exactly one second of output, after the filter has settled
+function toneAmplitude(pcm, frequency, rate) {
+  const start = Math.round(rate * 0.1);
+  let sin = 0;
+  let cos = 0;
+  for (let i = 0; i < rate; i++) {
+    const sample = pcm.readInt16LE((start + i) * 2);
+    sin += sample * Math.sin(2 * Math.PI * frequency * (start + i) / rate);
+    cos += sample * Math.cos(2 * Math.PI * frequency * (start + i) / rate);
+  }
+  return 2 * Math.sqrt(sin * sin + cos * cos) / rate;
+}
+
+const db = ratio => 20 * Math.log10(Math.max(ratio, 1e-9));
+
+// Where energy of an input tone lands in the output when it is not filtered out: folded around
+// the output Nyquist frequency when decimating, mirrored around the input rate when interpolating
+function strayFrequencies(frequency, fromRate, toRate) {
+  if (toRate < fromRate) {
+    const folded = frequency % toRate;
+    return [folded > toRate / 2 ? toRate - folded : folded];
+  }
+  const images = [];
+  for (let k = 1; k * fromRate - frequency < toRate / 2; k++) {
+    images.push(k * fromRate - frequency);
+    if (k * fromRate + frequency < toRate / 2) images.push(k * fromRate + frequency);
+  }
+  return images;
+}
+
+/**
+ * Run every quality check, printing one line per check
+ * @returns {string[]} - Messages of the failed checks
+ */
+function checkResamplers() {
+  const failures = [];
+  const check = (ok, message) => {
+    console.log(`  ${ok ? 'ok  ' : 'FAIL'} ${message}`);
+    if (!ok) failures.push(message);
+  };
+
+  for (const [fromRate, toRate] of RATIOS) {
+    console.log(`${fromRate / 1000}kHz -> ${toRate / 1000}kHz`);
+
+    const response = PASSBAND.map((frequency) => {
+      const out = createResampler(fromRate, toRate).process(sineBuffer(frequency, fromRate, 1.2));
+      return { frequency, gain: db(toneAmplitude(out, frequency, toRate) / 16000) };
+    });
+    const worst = response.reduce((a, b) => (Math.abs(b.gain) > Math.abs(a.gain) ? b : a));
+    check(Math.abs(worst.gain) <= MAX_PASSBAND_DEVIATION_DB,
+      `passband deviation ${response.map(r => `${r.frequency}Hz ${Math.abs(r.gain).toFixed(2)}dB`).join(', ')}`);
+
+    // Decimation: tones above the output Nyquist frequency. Interpolation: the images of in-band tones.
+    const probes = toRate < fromRate
+      ? [4700, 5500, 7000, 9000, 11000].filter(f => f < fromRate / 2)
+      : [300, 1000, 2000, 3000, 3300];
+    const rejection = probes.map((frequency) => {
+      const out = createResampler(fromRate, toRate).process(sineBuffer(frequency, fromRate, 1.2));
+      const stray = Math.max(...strayFrequencies(frequency, fromRate, toRate).map(f => toneAmplitude(out, f, toRate)));
+      return { frequency, level: db(stray / 16000) };
+    });
+    const loudest = rejection.reduce((a, b) => (b.level > a.level ? b : a));
+    check(loudest.level <= -MIN_REJECTION_DB,
+      `${toRate < fromRate ? 'aliasing' : 'imaging'} worst ${loudest.level.toFixed(1)}dB (input ${loudest.frequency}Hz)`);
+
+    // 20ms frames one by one must give the same audio as the whole buffer at once
+    const input = sineBuffer(1000, fromRate, 1);
+    const whole = createResampler(fromRate, toRate).process(input);
+    const streamed = createResampler(fromRate, toRate);
+    const frameBytes = fromRate * FRAME_MS / 1000 * 2;
+    const frames = [];
+    for (let offset = 0; offset < input.length; offset += frameBytes) {
+      frames.push(streamed.process(input.subarray(offset, offset + frameBytes)));
+    }
+    check(Buffer.concat(frames).equals(whole), `${FRAME_MS}ms frames match one-shot output (${whole.length / 2} samples)`);
+  }
+
+  // Up and back down again, as a narrowband call's audio through a wideband provider
+  for (const [rate, wideRate] of ROUND_TRIPS) {
+    console.log(`${rate / 1000}kHz -> ${wideRate / 1000}kHz -> ${rate / 1000}kHz`);
+    const response = PASSBAND.map((frequency) => {
+      const wide = createResampler(rate, wideRate).process(sineBuffer(frequency, rate, 1.2));
+      const out = createResampler(wideRate, rate).process(wide);
+      return { frequency, gain: db(toneAmplitude(out, frequency, rate) / 16000) };
+    });
+    const worst = response.reduce((a, b) => (Math.abs(b.gain) > Math.abs(a.gain) ? b : a));
+    check(Math.abs(worst.gain) <= 2 * MAX_PASSBAND_DEVIATION_DB,
+      `round trip deviation ${response.map(r => `${r.frequency}Hz ${Math.abs(r.gain).toFixed(2)}dB`).join(', ')}`);
+  }
+  return failures;
+}
+
+if (require.main === module) {
+  const failures = checkResamplers();
+  console.log(failures.length === 0 ? 'All checks passed' : `${failures.length} checks failed`);
+  process.exit(failures.length === 0 ? 0 : 1);
+}
+
+module.exports = { checkResamplers, sineBuffer, FRAME_MS };
@@ -0,0 +1,265 @@
+const dgram = require('dgram');
+const fs = require('fs');
+const { MEDIA_FORMATS, getMediaFormat, bytesForMs, encodeFromPcm16, decodeToPcm16 } = require('../audio-converter');
+const { buildRtcpReport, parseRtcpPacket, ntpTime, ntpMiddle } = require('../rtcp');
+
+const FRAME_MS = 20;
+const RTCP_INTERVAL_MS = 250;
+
+/**
+ * Read a WAV file in an ExternalMedia format, as Asterisk would send it
+ * 16-bit PCM (any rate, mono or stereo) files are supported, and μ-law 8kHz files for ulaw.
+ * @param {string} file - Path of the WAV file
+ * @param {Object} [mediaFormat] - Media format from audio-converter (default: ulaw)
+ * @returns {Buffer} - Audio in the media format
+ */
+function readWav(file, mediaFormat = MEDIA_FORMATS.ulaw) {
+  const wav = fs.readFileSync(file);
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error(`${file} is not a WAV file`);
+  }
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = wav.subarray(offset + 8, offset + 8 + size);
+    if (id === 'fmt ') {
+      format = { code: body.readUInt16LE(0), channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+    } else if (id === 'data') {
+      if (!format) throw new Error(`${file} has no fmt chunk before its data`);
+      if (format.code === 7 && format.sampleRate === 8000 && format.channels === 1 && mediaFormat.name === 'ulaw') {
+        return Buffer.from(body);
+      }
+      if (format.code !== 1 || format.bits !== 16) {
+        throw new Error(`${file}: only 16-bit PCM and μ-law 8kHz mono WAV files are supported`);
+      }
+      // Downmix to mono and resample by nearest sample
+      const rate = mediaFormat.sampleRate;
+      const frames = Math.floor(body.length / (2 * format.channels));
+      const outSamples = Math.floor(frames * rate / format.sampleRate);
+      const pcm = Buffer.alloc(outSamples * 2);
+      for (let i = 0; i < outSamples; i++) {
+        const frame = Math.min(frames - 1, Math.floor(i * format.sampleRate / rate));
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) {
+          sum += body.readInt16LE((frame * format.channels + c) * 2);
+        }
+        pcm.writeInt16LE(Math.round(sum / format.channels), i * 2);
+      }
+      return encodeFromPcm16(pcm, mediaFormat);
+    }
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error(`${file} has no data chunk`);
+}
+
+/**
+ * Sine tone, a stand-in for caller speech
+ * @param {number} ms - Duration
+ * @param {number} [frequency=300] - Frequency in Hz
+ * @param {Object} [format] - Media format from audio-converter (default: ulaw)
+ * @returns {Buffer} - Audio in the media format
+ */
+function speechTone(ms, frequency = 300, format = MEDIA_FORMATS.ulaw) {
+  const rate = format.sampleRate;
+  const pcm = Buffer.alloc(Math.round(ms * rate / 1000) * 2);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    pcm.writeInt16LE(Math.round(8000 * Math.sin(2 * Math.PI * frequency * i / rate)), i * 2);
+  }
+  return encodeFromPcm16(pcm, format);
+}
+
+/**
+ * Fake Asterisk end of an ExternalMedia (UnicastRTP) channel
+ *
+ * Sends 20ms RTP packets in the channel's format to the app's receiver port, silence while
+ * nothing is queued, as Asterisk does for a connected call. Everything the app streams back is
+ * captured in received. A lossy trunk is simulated by dropping, reordering or duplicating every
+ * nth packet. With rtcp, sender reports about the peer's stream, with a reception report on the
+ * app's, go out from a second socket and the app's reports are captured in rtcpReports.
+ */
+class RtpPeer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.format='ulaw'] - ExternalMedia format: ulaw, alaw, slin16 or slin24
+   * @param {number} [options.payloadType] - RTP payload type (default: the format's)
+   * @param {Object} [options.impair] - { drop, reorder, duplicate }: every nth packet is lost, sent
+   *   after the next one, or sent twice
+   * @param {boolean} [options.rtcp=false] - Exchange RTCP reports with the app
+   */
+  constructor({ format = 'ulaw', payloadType, impair = {}, rtcp = false } = {}) {
+    this.format = getMediaFormat(format);
+    this.payloadType = payloadType !== undefined ? payloadType : this.format.payloadType;
+    this.frameBytes = bytesForMs(this.format, FRAME_MS);
+    this.socket = dgram.createSocket('udp4');
+    this.received = []; // { seq, timestamp, ssrc, marker, payloadType, payload, at }
+    this.queue = Buffer.alloc(0);
+    this.seq = Math.floor(Math.random() * 65535);
+    this.timestamp = 0;
+    this.ssrc = Math.floor(Math.random() * 0xFFFFFFFF);
+    this.timer = null;
+    this.target = null;
+    this.impair = impair;
+    this.sent = 0;
+    this.held = null;
+    this.impaired = { dropped: 0, reordered: 0, duplicated: 0 };
+    this.rtcpSocket = rtcp ? dgram.createSocket('udp4') : null;
+    this.rtcpTimer = null;
+    this.rtcpReports = []; // { type, ssrc, sender, blocks, at }
+    this.lastSr = null;
+    this.closed = false;
+    this.socket.on('message', (msg) => {
+      this.received.push({
+        seq: msg.readUInt16BE(2),
+        timestamp: msg.readUInt32BE(4),
+        ssrc: msg.readUInt32BE(8),
+        marker: Boolean(msg[1] & 0x80),
+        payloadType: msg[1] & 0x7F,
+        payload: msg.subarray(12),
+        at: Date.now()
+      });
+    });
+  }
+
+  /**
+   * Bind the peer and start streaming to the app
+   * @param {Object} target - { address, port } of the app's RTP receiver
+   * @returns {Promise<number>} - Local port of the peer
+   */
+  async start(target) {
+    this.target = target;
+    await new Promise(resolve => this.socket.bind(0, '127.0.0.1', resolve));
+    this.timer = setInterval(() => this.sendFrame(), FRAME_MS);
+    if (this.rtcpSocket) {
+      this.rtcpSocket.on('message', (msg) => {
+        for (const report of parseRtcpPacket(msg) || []) {
+          this.rtcpReports.push({ ...report, at: Date.now() });
+          if (report.sender) {
+            this.lastSr = { lsr: ntpMiddle(report.sender.ntp), at: Date.now() };
+          }
+        }
+      });
+      await new Promise(resolve => this.rtcpSocket.bind(0, '127.0.0.1', resolve));
+      this.rtcpTimer = setInterval(() => this.sendReport(), RTCP_INTERVAL_MS);
+    }
+    return this.socket.address().port;
+  }
+
+  // Sender report with a lossless reception report on the app's stream, as Asterisk would send
+  sendReport() {
+    const last = this.received[this.received.length - 1];
+    const blocks = last ? [{
+      ssrc: last.ssrc,
+      fractionLost: 0,
+      cumulativeLost: 0,
+      highestSeq: last.seq,
+      jitter: 0,
+      lsr: this.lastSr ? this.lastSr.lsr : 0,
+      dlsr: this.lastSr ? Math.round((Date.now() - this.lastSr.at) / 1000 * 65536) : 0
+    }] : [];
+    const sender = { ntp: ntpTime(), rtpTimestamp: this.timestamp, packets: this.sent, octets: this.sent * this.frameBytes };
+    const packet = buildRtcpReport({ ssrc: this.ssrc, cname: 'harness@rtp-peer', sender, blocks });
+    this.rtcpSocket.send(packet, this.target.port + 1, this.target.address);
+  }
+
+  sendFrame() {
+    const payload = Buffer.alloc(this.frameBytes, this.format.silenceByte);
+    if (this.queue.length > 0) {
+      this.queue.copy(payload, 0, 0, Math.min(this.frameBytes, this.queue.length));
+      this.queue = this.queue.subarray(this.frameBytes);
+    }
+    const header = Buffer.alloc(12);
+    header[0] = 0x80;
+    header[1] = this.payloadType;
+    header.writeUInt16BE(this.seq, 2);
+    header.writeUInt32BE(this.timestamp, 4);
+    header.writeUInt32BE(this.ssrc, 8);
+    this.seq = (this.seq + 1) % 65536;
+    this.timestamp = (this.timestamp + this.format.sampleRate * FRAME_MS / 1000) >>> 0;
+    this.transmit(Buffer.concat([header, payload]));
+  }
+
+  transmit(packet) {
+    const { drop, reorder, duplicate } = this.impair;
+    this.sent++;
+    if (drop && this.sent % drop === 0) {
+      this.impaired.dropped++;
+      return;
+    }
+    if (reorder && this.sent % reorder === 0 && !this.held) {
+      this.impaired.reordered++;
+      this.held = packet;
+      return;
+    }
+    this.socket.send(packet, this.target.port, this.target.address);
+    if (this.held) {
+      this.socket.send(this.held, this.target.port, this.target.address);
+      this.held = null;
+    }
+    if (duplicate && this.sent % duplicate === 0) {
+      this.impaired.duplicated++;
+      this.socket.send(packet, this.target.port, this.target.address);
+    }
+  }
+
+  /**
+   * Queue caller audio
+   * @param {Buffer} audio - Audio in the peer's format
+   * @returns {Promise<void>} - Resolves once it has been sent
+   */
+  play(audio) {
+    this.queue = Buffer.concat([this.queue, audio]);
+    const ms = Math.ceil(this.queue.length / this.frameBytes) * FRAME_MS;
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Queue a WAV file as caller audio
+   * @param {string} file - Path of the WAV file
+   * @returns {Promise<void>}
+   */
+  playWav(file) {
+    return this.play(readWav(file, this.format));
+  }
+
+  /**
+   * Sine tone in the peer's format, a stand-in for caller speech
+   * @param {number} ms - Duration
+   * @returns {Buffer}
+   */
+  speechTone(ms) {
+    return speechTone(ms, 300, this.format);
+  }
+
+  /**
+   * Packets received from the app that carry sound, optionally since a point in time
+   * @param {number} [since=0] - Date.now() value
+   * @returns {number}
+   */
+  audioPackets(since = 0) {
+    return this.received.filter((packet) => {
+      if (packet.at < since) return false;
+      const pcm = decodeToPcm16(packet.payload, this.format);
+      for (let i = 0; i + 1 < pcm.length; i += 2) {
+        if (Math.abs(pcm.readInt16LE(i)) > 64) return true;
+      }
+      return false;
+    }).length;
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    clearInterval(this.timer);
+    clearInterval(this.rtcpTimer);
+    this.timer = null;
+    this.rtcpTimer = null;
+    this.socket.close();
+    if (this.rtcpSocket) {
+      this.rtcpSocket.close();
+    }
+  }
+}
+
+module.exports = { RtpPeer, readWav, speechTone };
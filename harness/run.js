@@ -0,0 +1,751 @@
+// Simulated calls against a fake Asterisk and the OpenAI mock, no PBX or API key needed
+// Usage: node harness/run.js [scenario ...]
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { FakeAri } = require('./fake-ari');
+const { loadScenario } = require('../mocks/common');
+const { startOpenAIMock } = require('../mocks/openai');
+const { startGeminiMock } = require('../mocks/gemini');
+
+const verbose = process.argv.includes('--verbose');
+const selected = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll until a condition holds
+ * @param {Function} condition - Returns true once satisfied
+ * @param {number} timeoutMs - How long to wait
+ * @param {string} message - Failure message
+ */
+async function waitFor(condition, timeoutMs, message) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(message);
+    await sleep(20);
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function counterValue(counter, labels) {
+  return [...counter.values.values()]
+    .filter(entry => Object.entries(labels).every(([key, value]) => entry.labels[key] === value))
+    .reduce((sum, entry) => sum + entry.value, 0);
+}
+
+const udpHandles = () => process.getActiveResourcesInfo().filter(type => type === 'UDPWRAP').length;
+
+const SCENARIOS = {
+  // Answer, bridge, greet, caller hangs up
+  'call-setup': async (h) => {
+    const { channelId, peer } = await h.startCall();
+    assert(h.ari.channels.get(channelId).state === 'Up', 'call was not answered');
+    const bridge = h.ari.bridges.get(`${channelId}_bridge`);
+    assert(bridge && bridge.channels.length === 2, 'caller and ExternalMedia channel are not bridged');
+    await waitFor(() => peer.audioPackets() >= 25, 5000, 'no greeting audio reached the caller');
+    h.ari.callerHangup(channelId);
+  },
+
+  // Calls get their own RTP ports and their own audio
+  'concurrent-calls': async (h) => {
+    const calls = await Promise.all([1, 2, 3].map(n => h.startCall({ callerId: `555000${n}` })));
+    const ports = new Set(calls.map(call => call.target.port));
+    assert(ports.size === calls.length, `calls share RTP ports: ${[...ports].join(', ')}`);
+    await waitFor(() => calls.every(call => call.peer.audioPackets() >= 25), 5000, 'not every caller heard the greeting');
+    calls.forEach(call => h.ari.callerHangup(call.channelId));
+  },
+
+  // Caller speech during the greeting stops it, the reply follows once they go quiet. The greeting
+  // is truncated in OpenAI's conversation to the audio the caller heard.
+  'barge-in': async (h) => {
+    const { channelId, peer } = await h.startCall();
+    await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+    const session = h.mockSessions[h.mockSessions.length - 1];
+    await peer.play(peer.speechTone(600));
+    await sleep(200);
+    const afterSpeech = Date.now();
+    await sleep(250);
+    assert(peer.audioPackets(afterSpeech) < 5, 'assistant kept talking over the caller');
+    assert(session.truncations.length === 1, `${session.truncations.length} truncations of the greeting`);
+    const [truncation] = session.truncations;
+    const heardMs = (peer.audioPackets() - peer.audioPackets(truncation.at)) * 20;
+    assert(Math.abs(truncation.audioEndMs - heardMs) <= 60, `greeting truncated at ${truncation.audioEndMs}ms, caller heard ${heardMs}ms`);
+    await waitFor(() => peer.audioPackets(afterSpeech) >= 25, 5000, 'no reply after the caller finished speaking');
+    h.ari.callerHangup(channelId);
+  },
+
+  // A-law ExternalMedia, G.711 A-law end to end with OpenAI
+  'alaw-call': async (h) => {
+    const { channelId, peer, target } = await h.startCall({ args: ['format=alaw'] });
+    assert(target.format === 'alaw', `ExternalMedia created with format ${target.format}`);
+    await waitFor(() => peer.audioPackets() >= 25, 5000, 'no greeting audio reached the caller');
+    const packet = peer.received[peer.received.length - 1];
+    assert(packet.payloadType === 8 && packet.payload.length === 160,
+      `expected 160 byte A-law packets with payload type 8, got ${packet.payload.length} bytes, type ${packet.payloadType}`);
+    h.ari.callerHangup(channelId);
+  },
+
+  // slin16 ExternalMedia: wideband audio both ways, the payload type Asterisk picked is mirrored,
+  // barge-in still works through the resamplers
+  'wideband-call': async (h) => {
+    const { channelId, peer, target } = await h.startCall({ args: ['format=slin16'], payloadType: 96 });
+    assert(target.format === 'slin16', `ExternalMedia created with format ${target.format}`);
+    await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+    const packet = peer.received[peer.received.length - 1];
+    assert(packet.payloadType === 96 && packet.payload.length === 640,
+      `expected 640 byte slin16 packets with payload type 96, got ${packet.payload.length} bytes, type ${packet.payloadType}`);
+    await peer.play(peer.speechTone(600));
+    await sleep(200);
+    const afterSpeech = Date.now();
+    await sleep(250);
+    assert(peer.audioPackets(afterSpeech) < 5, 'assistant kept talking over the caller');
+    await waitFor(() => peer.audioPackets(afterSpeech) >= 25, 5000, 'no reply after the caller finished speaking');
+    h.ari.callerHangup(channelId);
+  },
+
+  // Caller audio over a lossy trunk: gaps are concealed, reordered packets put back in sequence,
+  // duplicates dropped, and the caller can still barge in
+  'lossy-trunk': async (h) => {
+    const { channelId, peer } = await h.startCall({ impair: { drop: 10, reorder: 7, duplicate: 13 } });
+    await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+    await peer.play(peer.speechTone(600));
+    await sleep(200);
+    const afterSpeech = Date.now();
+    await sleep(250);
+    assert(peer.audioPackets(afterSpeech) < 5, 'assistant kept talking over the caller');
+    await waitFor(() => peer.audioPackets(afterSpeech) >= 25, 5000, 'no reply after the caller finished speaking');
+    const stats = h.sipMap.get(channelId).jitterBuffer.getStats();
+    const { dropped, reordered, duplicated } = peer.impaired;
+    assert(stats.lost >= dropped - 1 && stats.lost <= dropped, `${stats.lost} frames concealed, ${dropped} packets dropped`);
+    assert(stats.reordered >= reordered - 1 && stats.reordered <= reordered, `${stats.reordered} packets reordered, ${reordered} sent out of order`);
+    assert(stats.duplicates === duplicated, `${stats.duplicates} duplicates dropped, ${duplicated} sent`);
+    assert(stats.late === 0, `${stats.late} packets arrived after their frame was concealed`);
+    h.ari.callerHangup(channelId);
+  },
+
+  // Outbound RTP follows RFC 3550: contiguous sequence numbers, and each talkspurt starts with the
+  // marker bit and a timestamp that jumps by the silence before it. RTCP flows both ways.
+  'rtp-reports': async (h) => {
+    const { channelId, peer } = await h.startCall({ rtcp: true });
+    await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+    await peer.play(peer.speechTone(600));
+    const afterSpeech = Date.now();
+    await waitFor(() => peer.audioPackets(afterSpeech) >= 10, 5000, 'no reply after the caller finished speaking');
+    assert(peer.received.filter(packet => packet.marker).length >= 2, 'reply after barge-in did not start a new talkspurt');
+    const packets = peer.received;
+    assert(packets[0].marker, 'first packet has no marker bit');
+    for (let i = 1; i < packets.length; i++) {
+      const [previous, packet] = [packets[i - 1], packets[i]];
+      assert(packet.seq === (previous.seq + 1) % 65536, `sequence jumps from ${previous.seq} to ${packet.seq}`);
+      const step = (packet.timestamp - previous.timestamp) >>> 0;
+      if (!packet.marker) {
+        assert(step === 160, `timestamp advanced ${step} within a talkspurt`);
+      } else {
+        const gap = (packet.at - previous.at) * 8;
+        assert(Math.abs(step - gap) <= 8 * 40, `timestamp advanced ${step} over a ${packet.at - previous.at}ms gap`);
+      }
+    }
+    const rtcp = h.sipMap.get(channelId).rtcp;
+    await waitFor(() => rtcp.getStats().rttMs !== null, 3000, 'no round-trip time from RTCP');
+    await waitFor(() => peer.rtcpReports.some(report => report.type === 'sr'), 3000, 'app sent no RTCP sender report');
+    const report = peer.rtcpReports.filter(r => r.type === 'sr').pop();
+    assert(report.ssrc === packets[0].ssrc && report.sender.packets > 0, 'sender report does not describe the RTP stream');
+    const strays = peer.rtcpReports.filter(r => r.ssrc !== packets[0].ssrc);
+    assert(strays.length === 0, `${strays.length} RTCP reports with an SSRC other than the RTP stream's`);
+    assert(report.blocks.some(block => block.ssrc === peer.ssrc), 'sender report has no reception report on the caller');
+    const { rttMs } = rtcp.getStats();
+    assert(rttMs >= 0 && rttMs < 100, `implausible round-trip time ${rttMs}ms`);
+    h.ari.callerHangup(channelId);
+  },
+
+  // With LOCAL_VAD_ENABLED the app stops the greeting itself, and the gate holds back caller silence
+  'local-barge-in': async (h) => {
+    const bargeIns = counterValue(h.metrics.localBargeIns, {});
+    const gated = counterValue(h.metrics.callerAudioGated, {});
+    const settings = { LOCAL_VAD_ENABLED: true, LOCAL_VAD_GATE: true, LOCAL_VAD_START_MS: 40 }; // quicker than the mock's VAD
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    Object.assign(h.config, settings);
+    try {
+      const { channelId, peer } = await h.startCall();
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+      await peer.play(peer.speechTone(600));
+      await sleep(200);
+      const afterSpeech = Date.now();
+      await sleep(250);
+      assert(peer.audioPackets(afterSpeech) < 5, 'assistant kept talking over the caller');
+      assert(counterValue(h.metrics.localBargeIns, {}) === bargeIns + 1, 'barge-in was not detected locally');
+      await waitFor(() => peer.audioPackets(afterSpeech) >= 25, 5000, 'no reply after the caller finished speaking');
+      assert(counterValue(h.metrics.callerAudioGated, {}) > gated, 'caller silence was not held back');
+      h.ari.callerHangup(channelId);
+    } finally {
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // At MAX_CONCURRENT_CALLS a new call is rejected as busy, the call in progress keeps its port and audio
+  'overflow-reject': async (h) => {
+    const previous = h.config.MAX_CONCURRENT_CALLS;
+    h.config.MAX_CONCURRENT_CALLS = 1;
+    try {
+      const { channelId, peer } = await h.startCall();
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+      const rejected = new Promise(resolve => h.ari.on('hangup', (id, reason) => id !== channelId && resolve(reason)));
+      h.ari.placeCall({ callerId: '5559999' });
+      const reason = await Promise.race([rejected, sleep(2000).then(() => null)]);
+      assert(reason === 'busy', `second call was not rejected as busy (${reason})`);
+      const before = peer.audioPackets();
+      await sleep(300);
+      assert(peer.audioPackets() > before, 'the call in progress lost its audio');
+      h.ari.callerHangup(channelId);
+    } finally {
+      h.config.MAX_CONCURRENT_CALLS = previous;
+    }
+  },
+
+  // With OVERFLOW_ACTION=queue callers wait with music on hold and hear their position, the first is
+  // admitted when a slot frees up, one hangs up while waiting
+  'overflow-queue': async (h) => {
+    const settings = { MAX_CONCURRENT_CALLS: 1, OVERFLOW_ACTION: 'queue', QUEUE_ANNOUNCE_INTERVAL_SECONDS: 1 };
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    Object.assign(h.config, settings);
+    const abandoned = counterValue(h.metrics.queueExits, { outcome: 'abandoned' });
+    try {
+      const first = await h.startCall();
+      await waitFor(() => first.peer.audioPackets() >= 10, 5000, 'no greeting audio reached the first caller');
+      const announcements = [];
+      h.ari.on('play', (id, media) => announcements.push({ id, media }));
+      const second = h.startCall({ callerId: '5550002' });
+      await waitFor(() => [...h.ari.channels.values()].some(c => c.caller.number === '5550002' && c.moh === 'default'), 3000,
+        'second caller is not on hold');
+      const thirdId = h.ari.placeCall({ callerId: '5550003' });
+      await waitFor(() => announcements.some(a => a.id === thirdId && a.media.includes('number:2')), 3000,
+        'third caller did not hear position 2');
+      assert(announcements.some(a => a.id !== thirdId && a.media === 'sound:queue-youarenext'), 'second caller did not hear that they are next');
+      h.ari.callerHangup(thirdId);
+      await waitFor(() => counterValue(h.metrics.queueExits, { outcome: 'abandoned' }) === abandoned + 1, 2000,
+        'third caller was not taken out of the queue');
+
+      // The first call's media goes quiet with its channel, the admitted call gets its port next
+      h.ari.callerHangup(first.channelId);
+      first.peer.close();
+      const { channelId, peer } = await second;
+      assert(h.ari.channels.get(channelId).moh === null, 'music on hold still playing to the admitted caller');
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the admitted caller');
+      h.ari.callerHangup(channelId);
+    } finally {
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // A caller still waiting at QUEUE_TIMEOUT_SECONDS is sent to OVERFLOW_TARGET
+  'overflow-timeout': async (h) => {
+    const settings = { MAX_CONCURRENT_CALLS: 1, OVERFLOW_ACTION: 'queue', OVERFLOW_TARGET: 'operator@support', QUEUE_TIMEOUT_SECONDS: 1 };
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    Object.assign(h.config, settings);
+    const timeouts = counterValue(h.metrics.queueExits, { outcome: 'timeout' });
+    try {
+      const { channelId, peer } = await h.startCall();
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+      const transferred = new Promise(resolve => h.ari.on('transfer', (id, target) => resolve({ id, target })));
+      const waitingId = h.ari.placeCall({ callerId: '5550002' });
+      await waitFor(() => h.ari.channels.get(waitingId)?.moh === 'default', 3000, 'waiting caller is not on hold');
+      const { id, target } = await Promise.race([transferred, sleep(3000).then(() => ({}))]);
+      assert(id === waitingId && target.context === 'support' && target.extension === 'operator',
+        `waiting caller was not sent to the overflow target (${JSON.stringify(target)})`);
+      assert(counterValue(h.metrics.queueExits, { outcome: 'timeout' }) === timeouts + 1, 'queue timeout not counted');
+      h.ari.callerHangup(channelId);
+    } finally {
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // Outbound calls take their slot before dialing: at capacity nothing is originated, a campaign
+  // dials once the slot frees up
+  'outbound-capacity': async (h) => {
+    const { originateCall, NoCapacityError } = require('../outbound');
+    const { startCampaign, getCampaign } = require('../campaign');
+    const settings = { MAX_CONCURRENT_CALLS: 1, CAMPAIGN_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'harness-campaign-')) };
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    Object.assign(h.config, settings);
+    try {
+      const first = await h.startCall();
+      const error = await originateCall({ number: '100' }).then(() => null, e => e);
+      assert(error instanceof NoCapacityError, `outbound call at capacity was not refused (${error && error.message})`);
+      const campaign = await startCampaign({ csv: 'number\n200\n' });
+      await sleep(300);
+      assert(h.ari.channels.size === 2, `${h.ari.channels.size - 2} channels originated at capacity`);
+      assert(getCampaign(campaign.id).pending === 1, 'campaign row was not held back');
+
+      h.ari.callerHangup(first.channelId);
+      first.peer.close();
+      const media = new Promise(resolve => h.ari.once('media', resolve));
+      const outboundId = await Promise.race([media, sleep(3000).then(() => null)]);
+      assert(outboundId && getCampaign(campaign.id).results[0].channelId === outboundId, 'campaign did not dial when the slot freed up');
+      h.ari.callerHangup(outboundId);
+      await waitFor(() => getCampaign(campaign.id).status === 'completed', 3000, 'campaign did not complete');
+      const { counts } = getCampaign(campaign.id);
+      assert(counts.answered === 1, `campaign outcomes ${JSON.stringify(counts)}`);
+    } finally {
+      fs.rmSync(h.config.CAMPAIGN_DIR, { recursive: true, force: true });
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // Unreadable OPENING_HOURS still lets calls through, a call whose setup fails before it is tracked
+  // is hung up instead of being left in Stasis
+  'setup-failure': async (h) => {
+    const previous = h.config.OPENING_HOURS;
+    h.config.OPENING_HOURS = 'mon-fri 9-17';
+    const handle = h.ari.handle;
+    try {
+      const { channelId, peer } = await h.startCall();
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio with unreadable OPENING_HOURS');
+      h.ari.callerHangup(channelId);
+
+      h.ari.handle = function (key, params) {
+        if (key === 'channels.answer') throw new Error('Answer failed');
+        return handle.call(this, key, params);
+      };
+      let failedId = null;
+      const hungUp = new Promise(resolve => h.ari.on('hangup', id => id === failedId && resolve(true)));
+      failedId = h.ari.placeCall({ callerId: '5550002' });
+      assert(await Promise.race([hungUp, sleep(3000).then(() => false)]), 'call with failed setup was not hung up');
+    } finally {
+      h.ari.handle = handle;
+      h.config.OPENING_HOURS = previous;
+    }
+  },
+
+  // The post-call webhook is retried after a failure and spooled when every attempt fails. The
+  // spool is flushed once the endpoint is back, unreadable and rejected records are set aside.
+  'webhook-delivery': async (h) => {
+    const { flushSpool } = require('../webhook');
+    const requests = [];
+    let failures = 0; // requests still to answer with 500
+    const stub = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const record = JSON.parse(body);
+        requests.push({ record, authorization: req.headers.authorization });
+        if (record.channelId === 'rejected') {
+          res.writeHead(400).end();
+        } else if (failures > 0) {
+          failures--;
+          res.writeHead(500).end();
+        } else {
+          res.writeHead(200).end();
+        }
+      });
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    const settings = {
+      WEBHOOK_URL: `http://127.0.0.1:${stub.address().port}/calls`,
+      WEBHOOK_TOKEN: 'harness-token',
+      WEBHOOK_MAX_RETRIES: 1,
+      WEBHOOK_RETRY_DELAY_MS: 50,
+      WEBHOOK_SPOOL_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'harness-spool-'))
+    };
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    Object.assign(h.config, settings);
+    const spoolDir = settings.WEBHOOK_SPOOL_DIR;
+    const delivered = id => requests.filter(r => r.record.channelId === id).length;
+    try {
+      // First attempt fails, the retry gets through
+      failures = 1;
+      const first = await h.startCall();
+      h.ari.callerHangup(first.channelId);
+      await waitFor(() => delivered(first.channelId) === 2, 3000, `call record sent ${delivered(first.channelId)} times, expected a retry`);
+      const { record, authorization } = requests[requests.length - 1];
+      assert(authorization === 'Bearer harness-token', `webhook sent with authorization ${authorization}`);
+      assert(record.endReason === 'caller_hangup' && record.direction === 'inbound', `unexpected call record ${JSON.stringify(record)}`);
+      assert(fs.readdirSync(spoolDir).length === 0, 'delivered call record was spooled');
+
+      // Every attempt fails: the record goes to the spool
+      failures = 2;
+      const second = await h.startCall();
+      h.ari.callerHangup(second.channelId);
+      await waitFor(() => fs.readdirSync(spoolDir).some(file => file.startsWith(second.channelId)), 3000, 'undelivered call record was not spooled');
+
+      // Records ahead of it that can never be delivered must not hold it up
+      fs.writeFileSync(path.join(spoolDir, '0-corrupt.json'), '{"channelId":');
+      fs.writeFileSync(path.join(spoolDir, '1-rejected.json'), JSON.stringify({ channelId: 'rejected' }));
+      await flushSpool();
+      assert(delivered(second.channelId) === 3, `spooled call record sent ${delivered(second.channelId)} times`);
+      const left = fs.readdirSync(spoolDir).sort();
+      assert(left.join() === '0-corrupt.json.failed,1-rejected.json.failed', `spool holds ${left.join(', ')}`);
+    } finally {
+      stub.close();
+      fs.rmSync(spoolDir, { recursive: true, force: true });
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // A provider failing mid-call hands the call to the next one of FAILOVER_CHAIN with the
+  // conversation so far. With no provider left the caller hears the apology and goes to FAILOVER_EXTENSION.
+  'provider-failover': async (h) => {
+    const settings = { FAILOVER_CHAIN: ['gemini'], FAILOVER_EXTENSION: 'operator@support' };
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    Object.assign(h.config, settings);
+    const turns = h.scenario.turns;
+    h.scenario.turns = [{ error: 'Harness outage' }];
+    const failovers = counterValue(h.metrics.providerFailovers, { from: 'openai', to: 'gemini' });
+    const providerFailures = counterValue(h.metrics.callsEnded, { reason: 'provider_failure' });
+    try {
+      const { channelId, peer } = await h.startCall();
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+      await peer.play(peer.speechTone(600));
+      await waitFor(() => counterValue(h.metrics.providerFailovers, { from: 'openai', to: 'gemini' }) === failovers + 1, 3000,
+        'call did not move to gemini');
+      assert(h.sipMap.get(channelId).provider.name === 'gemini', `call is on ${h.sipMap.get(channelId).provider.name}`);
+      const afterFailover = Date.now();
+      await waitFor(() => peer.audioPackets(afterFailover) >= 10, 5000, 'caller heard nothing from gemini');
+      h.ari.callerHangup(channelId);
+      peer.close();
+
+      // Nothing left to fail over to
+      h.config.FAILOVER_CHAIN = [];
+      const played = [];
+      h.ari.on('play', (id, media) => played.push({ id, media }));
+      const transferred = new Promise(resolve => h.ari.on('transfer', (id, target) => resolve({ id, target })));
+      const second = await h.startCall({ callerId: '5550002' });
+      await waitFor(() => second.peer.audioPackets() >= 10, 5000, 'no greeting audio reached the second caller');
+      await second.peer.play(second.peer.speechTone(600));
+      const { id, target } = await Promise.race([transferred, sleep(5000).then(() => ({}))]);
+      assert(id === second.channelId && target.context === 'support' && target.extension === 'operator',
+        `caller was not sent to FAILOVER_EXTENSION (${JSON.stringify(target)})`);
+      assert(played.some(p => p.id === second.channelId && p.media === h.config.FAILOVER_APOLOGY), 'caller did not hear the apology');
+      await waitFor(() => counterValue(h.metrics.callsEnded, { reason: 'provider_failure' }) === providerFailures + 1, 2000,
+        'call did not end with reason provider_failure');
+    } finally {
+      h.scenario.turns = turns;
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // A dropped connection is reopened without greeting the caller again: OpenAI gets the conversation
+  // replayed and answers the pending caller turn, Gemini resumes its session with the resumption handle
+  'provider-resume': async (h) => {
+    const turns = h.scenario.turns;
+    h.scenario.turns = [{ drop: true }];
+    const retries = provider => counterValue(h.metrics.wsRetries, { provider });
+    const [openaiRetries, geminiRetries] = [retries('openai'), retries('gemini')];
+    const previous = { ...h.config };
+    try {
+      const first = await h.startCall();
+      await waitFor(() => first.peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+      const sessions = h.mockSessions.length;
+      await first.peer.play(first.peer.speechTone(600));
+      await waitFor(() => h.mockSessions.length === sessions + 1, 3000, 'OpenAI connection was not reopened');
+      assert(retries('openai') === openaiRetries + 1, 'reconnect not counted');
+      const resumed = h.mockSessions[sessions];
+      await waitFor(() => resumed.responded, 3000, 'reopened OpenAI session got no response request');
+      // The caller cut the greeting short, so the caller's turn is all there is to replay
+      assert(resumed.replayedUserTurns === 1, `${resumed.replayedUserTurns} caller turns replayed to the reopened OpenAI session`);
+      const afterResume = Date.now();
+      await waitFor(() => first.peer.audioPackets(afterResume) >= 10, 5000, 'no reply after the OpenAI session was reopened');
+      h.ari.callerHangup(first.channelId);
+      first.peer.close();
+
+      Object.assign(h.config, h.buildProviderConfig('gemini', process.env), { AI_PROVIDER: 'gemini' });
+      const second = await h.startCall({ callerId: '5550002' });
+      await waitFor(() => second.peer.audioPackets() >= 10, 5000, 'no greeting audio from gemini');
+      const geminiCount = h.geminiSessions.length;
+      await second.peer.play(second.peer.speechTone(600));
+      await waitFor(() => h.geminiSessions.length === geminiCount + 1 && h.geminiSessions[geminiCount].setupDone, 3000,
+        'Gemini connection was not reopened');
+      const session = h.geminiSessions[geminiCount];
+      assert(session.resumed, 'Gemini session was not resumed with the resumption handle');
+      assert(retries('gemini') === geminiRetries + 1, 'reconnect not counted');
+      await sleep(300);
+      const afterResumeGemini = Date.now();
+      await second.peer.play(second.peer.speechTone(600));
+      await waitFor(() => second.peer.audioPackets(afterResumeGemini) >= 10, 5000, 'no reply after the Gemini session resumed');
+      // A replayed transcript would have used up a scripted turn of its own
+      assert(session.turnIndex === 2, `resumed Gemini session at turn ${session.turnIndex}, expected 2`);
+      h.ari.callerHangup(second.channelId);
+    } finally {
+      h.scenario.turns = turns;
+      for (const key of Object.keys(h.config)) {
+        if (!(key in previous)) delete h.config[key];
+      }
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // The admin API needs the token, lists a live call, mutes it, sends it an instruction and hangs it up
+  'admin-api': async (h) => {
+    const { startAdminApi } = require('../admin-api');
+    const free = http.createServer().listen(0, '127.0.0.1');
+    await new Promise(resolve => free.on('listening', resolve));
+    const settings = { ADMIN_API_PORT: free.address().port, ADMIN_API_HOST: '127.0.0.1', ADMIN_API_TOKEN: 'harness-admin' };
+    await new Promise(resolve => free.close(resolve));
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    Object.assign(h.config, settings);
+    const server = startAdminApi();
+    await new Promise(resolve => server.on('listening', resolve));
+    const request = (method, pathname, { body, token = settings.ADMIN_API_TOKEN } = {}) => new Promise((resolve, reject) => {
+      const headers = token ? { Authorization: `Bearer ${token}` } : {};
+      const req = http.request({ host: '127.0.0.1', port: settings.ADMIN_API_PORT, method, path: pathname, headers }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+      });
+      req.on('error', reject);
+      req.end(body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)));
+    });
+    const expectStatus = async (status, method, pathname, options) => {
+      const res = await request(method, pathname, options);
+      assert(res.status === status, `${method} ${pathname} answered ${res.status} instead of ${status}: ${JSON.stringify(res.body)}`);
+      return res.body;
+    };
+    const adminHangups = counterValue(h.metrics.callsEnded, { reason: 'admin_hangup' });
+    try {
+      await expectStatus(401, 'GET', '/calls', { token: null });
+      await expectStatus(401, 'GET', '/calls', { token: 'wrong-token' });
+
+      const { channelId, peer } = await h.startCall();
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+      const { calls } = await expectStatus(200, 'GET', '/calls');
+      assert(calls.length === 1 && calls[0].channelId === channelId && calls[0].callerId.number === '5551234',
+        `GET /calls listed ${JSON.stringify(calls)}`);
+      await expectStatus(404, 'GET', '/calls/no-such-call');
+      await expectStatus(404, 'GET', '/no-such-route');
+      await expectStatus(405, 'DELETE', `/calls/${channelId}`);
+      await expectStatus(400, 'POST', '/calls', { body: '{"number":' });
+
+      const muted = await expectStatus(200, 'POST', `/calls/${channelId}/mute`, { body: { muted: true } });
+      assert(muted.muted === true, 'call was not muted');
+      await sleep(100);
+      const afterMute = Date.now();
+      await sleep(300);
+      assert(peer.audioPackets(afterMute) === 0, 'assistant audio still playing while muted');
+      await expectStatus(200, 'POST', `/calls/${channelId}/mute`, { body: { muted: false } });
+
+      await expectStatus(400, 'POST', `/calls/${channelId}/instruct`, { body: { text: ' ' } });
+      const instructedAt = Date.now();
+      await expectStatus(200, 'POST', `/calls/${channelId}/instruct`, { body: { text: 'Offer the caller a callback' } });
+      const session = h.mockSessions[h.mockSessions.length - 1];
+      assert(session.items.some(item => item.role === 'system' && item.content[0].text === 'Offer the caller a callback'),
+        'instruction did not reach the model');
+      await waitFor(() => peer.audioPackets(instructedAt) >= 10, 5000, 'no reply to the instruction');
+      const { transcript } = await expectStatus(200, 'GET', `/calls/${channelId}/transcript`);
+      assert(transcript.some(turn => turn.role === 'system' && turn.source === 'admin'), 'instruction missing from the transcript');
+
+      const hungUp = new Promise(resolve => h.ari.on('hangup', id => id === channelId && resolve()));
+      const result = await expectStatus(200, 'POST', `/calls/${channelId}/hangup`);
+      assert(result.status === 'hungup', `hangup answered ${JSON.stringify(result)}`);
+      await Promise.race([hungUp, sleep(2000).then(() => { throw new Error('call was not hung up'); })]);
+      assert(counterValue(h.metrics.callsEnded, { reason: 'admin_hangup' }) === adminHangups + 1, 'call did not end with reason admin_hangup');
+      await expectStatus(404, 'POST', `/calls/${channelId}/hangup`);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      Object.assign(h.config, previous);
+    }
+  },
+
+  // With transcripts and call recording on, a call leaves its .jsonl and .txt transcript and a
+  // stereo WAV file with the caller on the left, the assistant on the right and the final sizes
+  'transcript-recording': async (h) => {
+    const { getTranscript } = require('../transcript');
+    const settings = {
+      TRANSCRIPTS_ENABLED: true,
+      TRANSCRIPT_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'harness-transcripts-')),
+      CALL_RECORDING_ENABLED: true,
+      RECORDING_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'harness-recordings-'))
+    };
+    const previous = Object.fromEntries(Object.keys(settings).map(key => [key, h.config[key]]));
+    const turns = h.scenario.turns;
+    Object.assign(h.config, settings);
+    h.scenario.turns = [{ user: 'I need a callback', reply: 'Sure, one moment.' }];
+    try {
+      const ended = counterValue(h.metrics.callsEnded, { reason: 'caller_hangup' });
+      const startedAt = Date.now();
+      const { channelId, peer } = await h.startCall();
+      await waitFor(() => peer.audioPackets() >= 10, 5000, 'no greeting audio reached the caller');
+      await peer.play(peer.speechTone(600));
+      await waitFor(() => getTranscript(channelId).some(turn => turn.role === 'assistant'), 5000, 'reply missing from the transcript');
+      h.ari.callerHangup(channelId);
+      await waitFor(() => counterValue(h.metrics.callsEnded, { reason: 'caller_hangup' }) === ended + 1, 3000, 'call was not cleaned up');
+      const callMs = Date.now() - startedAt;
+
+      const jsonlFile = path.join(settings.TRANSCRIPT_DIR, `${channelId}.jsonl`);
+      const lines = fs.readFileSync(jsonlFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert(lines.every((turn, i) => turn.seq === i + 1), `transcript turns out of sequence: ${lines.map(turn => turn.seq).join(', ')}`);
+      assert(lines.some(turn => turn.role === 'user' && turn.text === 'I need a callback'), 'caller turn missing from the .jsonl transcript');
+      assert(lines.some(turn => turn.role === 'assistant' && turn.text === 'Sure, one moment.'), 'reply missing from the .jsonl transcript');
+      const text = fs.readFileSync(jsonlFile.replace(/\.jsonl$/, '.txt'), 'utf8');
+      assert(/User: I need a callback$/m.test(text) && /Assistant: Sure, one moment\.$/m.test(text), `unexpected .txt transcript:\n${text}`);
+
+      const wav = fs.readFileSync(path.join(settings.RECORDING_DIR, `${channelId}.wav`));
+      assert(wav.toString('ascii', 0, 4) === 'RIFF' && wav.toString('ascii', 8, 12) === 'WAVE', 'recording is not a WAV file');
+      assert(wav.readUInt16LE(22) === 2 && wav.readUInt32LE(24) === 8000 && wav.readUInt16LE(34) === 16,
+        `recording is ${wav.readUInt16LE(22)} channels, ${wav.readUInt32LE(24)}Hz, ${wav.readUInt16LE(34)} bit`);
+      assert(wav.readUInt32LE(4) === wav.length - 8, `RIFF size ${wav.readUInt32LE(4)} in a ${wav.length} byte file`);
+      const dataLength = wav.readUInt32LE(40);
+      assert(dataLength === wav.length - 44, `data size ${dataLength} in a ${wav.length} byte file`);
+      const recordedMs = dataLength / 4 / 8;
+      assert(recordedMs >= 1000 && recordedMs <= callMs, `${recordedMs}ms recorded in a ${callMs}ms call`);
+      const loudest = (channel) => {
+        let peak = 0;
+        for (let offset = 44 + channel * 2; offset < wav.length; offset += 4) {
+          peak = Math.max(peak, Math.abs(wav.readInt16LE(offset)));
+        }
+        return peak;
+      };
+      assert(loudest(0) > 1000, 'caller audio missing from the left channel');
+      assert(loudest(1) > 1000, 'assistant audio missing from the right channel');
+    } finally {
+      h.scenario.turns = turns;
+      Object.assign(h.config, previous);
+      fs.rmSync(settings.TRANSCRIPT_DIR, { recursive: true, force: true });
+      fs.rmSync(settings.RECORDING_DIR, { recursive: true, force: true });
+    }
+  },
+
+  // The app hangs up once CALL_DURATION_LIMIT_SECONDS is reached
+  'duration-limit': async (h) => {
+    const before = counterValue(h.metrics.callsEnded, { reason: 'duration_limit' });
+    const previousLimit = h.config.CALL_DURATION_LIMIT_SECONDS;
+    h.config.CALL_DURATION_LIMIT_SECONDS = 2;
+    try {
+      const { channelId } = await h.startCall();
+      const hungUp = new Promise(resolve => h.ari.on('hangup', id => id === channelId && resolve()));
+      await Promise.race([hungUp, sleep(4000).then(() => { throw new Error('app did not hang up at the duration limit'); })]);
+      await waitFor(() => counterValue(h.metrics.callsEnded, { reason: 'duration_limit' }) === before + 1, 2000,
+        'call did not end with reason duration_limit');
+    } finally {
+      h.config.CALL_DURATION_LIMIT_SECONDS = previousLimit;
+    }
+  }
+};
+
+async function main() {
+  const names = selected.length > 0 ? selected : Object.keys(SCENARIOS);
+  const unknown = names.filter(name => !SCENARIOS[name]);
+  if (unknown.length > 0) {
+    console.error(`Unknown scenario: ${unknown.join(', ')}. Available: ${Object.keys(SCENARIOS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const ari = new FakeAri();
+  const ariUrl = await ari.start();
+  const scenario = loadScenario(process.env.HARNESS_SCENARIO);
+  if (!process.env.HARNESS_SCENARIO) {
+    scenario.greeting = 'Hello, this is the harness assistant. '.repeat(4);
+  }
+  process.env.MOCK_QUIET = verbose ? 'false' : 'true';
+  const mock = startOpenAIMock({ port: 0, scenario });
+  const mockSessions = [];
+  mock.on('session', session => mockSessions.push(session));
+  await new Promise(resolve => mock.on('listening', resolve));
+  // Failover target and Gemini calls
+  const geminiMock = startGeminiMock({ port: 0, scenario });
+  await new Promise(resolve => geminiMock.on('listening', resolve));
+  const geminiSessions = [];
+  geminiMock.on('session', session => geminiSessions.push(session));
+
+  // Set before the app modules load config.js, environment variables win over openai.conf
+  Object.assign(process.env, {
+    AI_PROVIDER: 'openai',
+    OPENAI_API_KEY: 'harness',
+    REALTIME_URL: `ws://127.0.0.1:${mock.address().port}`,
+    GEMINI_API_KEY: 'harness',
+    GEMINI_URL: `ws://127.0.0.1:${geminiMock.address().port}`,
+    ARI_URL: ariUrl,
+    ARI_USERNAME: 'harness',
+    ARI_PASSWORD: 'harness',
+    LOG_LEVEL: verbose ? 'info' : 'error',
+    CALL_DURATION_LIMIT_SECONDS: '0',
+    RTCP_INTERVAL_MS: '500',
+    TRANSCRIPTS_ENABLED: 'false',
+    CALL_RECORDING_ENABLED: 'false',
+    WEBHOOK_URL: '',
+    FAILOVER_CHAIN: ''
+  });
+  const { config, buildProviderConfig } = require('../config');
+  const { initializeAriClient } = require('../asterisk');
+  const { sipMap, extMap, rtpSenders, rtpReceivers, waitingCalls } = require('../state');
+  const { metrics } = require('../metrics');
+  const { RtpPeer } = require('./rtp-peer');
+  await initializeAriClient();
+
+  const baselineUdp = udpHandles();
+  let peers = [];
+  const harness = {
+    ari,
+    config,
+    buildProviderConfig,
+    metrics,
+    sipMap,
+    scenario,
+    mockSessions,
+    geminiSessions,
+    // Place a call and answer the app's ExternalMedia channel with an RTP peer
+    async startCall({ payloadType, impair, rtcp, ...options } = {}) {
+      let channelId = null;
+      const media = new Promise(resolve => {
+        const onMedia = (id, target) => {
+          if (id === channelId) {
+            ari.off('media', onMedia);
+            resolve(target);
+          }
+        };
+        ari.on('media', onMedia);
+      });
+      channelId = ari.placeCall(options);
+      const target = await Promise.race([media, sleep(5000).then(() => null)]);
+      assert(target, `ExternalMedia was never bridged for ${channelId}`);
+      const peer = new RtpPeer({ format: target.format, payloadType, impair, rtcp });
+      peers.push(peer);
+      await peer.start(target);
+      return { channelId, peer, target };
+    }
+  };
+
+  // Nothing may outlive a call: state maps, waiting callers, fake channels and bridges, RTP ports and sockets
+  async function checkCleanup() {
+    await waitFor(() => sipMap.size === 0 && extMap.size === 0 && rtpSenders.size === 0 && rtpReceivers.size === 0 && waitingCalls.size === 0, 3000,
+      `call state left behind (sipMap ${sipMap.size}, extMap ${extMap.size}, rtpSenders ${rtpSenders.size}, rtpReceivers ${rtpReceivers.size}, waiting ${waitingCalls.size})`);
+    await waitFor(() => ari.channels.size === 0 && ari.bridges.size === 0, 3000,
+      `Asterisk objects left behind (${ari.channels.size} channels, ${ari.bridges.size} bridges)`);
+    await waitFor(() => metrics.rtpPortsInUse.entry({}).value === 0, 1000,
+      `${metrics.rtpPortsInUse.entry({}).value} RTP ports still allocated`);
+    peers.forEach(peer => peer.close());
+    peers = [];
+    await waitFor(() => udpHandles() === baselineUdp, 2000, `${udpHandles() - baselineUdp} UDP sockets still open`);
+  }
+
+  let failed = 0;
+  for (const name of names) {
+    const started = Date.now();
+    try {
+      await SCENARIOS[name](harness);
+      await checkCleanup();
+      console.log(`PASS ${name} (${Date.now() - started} ms)`);
+    } catch (e) {
+      failed++;
+      console.log(`FAIL ${name}: ${e.message}`);
+      peers.forEach(peer => peer.close());
+      peers = [];
+      [...ari.channels.keys()].forEach(id => ari.callerHangup(id));
+      await sleep(500);
+    }
+  }
+  console.log(`${names.length - failed} of ${names.length} scenarios passed`);
+
+  mock.close();
+  geminiMock.close();
+  await ari.close();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  console.error(`Harness error: ${e.stack}`);
+  process.exit(1);
+});
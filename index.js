@@ -1,10 +1,16 @@
 const { initializeAriClient } = require('./asterisk');
 const { config, logger } = require('./config');
+const { startSpoolRetry } = require('./webhook');
+const { startAdminApi } = require('./admin-api');
+const { startMetricsServer } = require('./metrics');
 
 async function startApplication() {
   try {
     logger.info('Starting application');
     await initializeAriClient();
+    startSpoolRetry();
+    startAdminApi();
+    startMetricsServer();
     logger.info('Application started successfully');
   } catch (e) {
     logger.error(`Startup error: ${e.message}`);
@@ -0,0 +1,239 @@
+const { logger } = require('./config');
+const { MEDIA_FORMATS, bytesForMs, bytesPerSample, decodeToPcm16, encodeFromPcm16 } = require('./audio-converter');
+
+logger.info('Loading jitter-buffer.js module');
+
+// Asterisk sends ExternalMedia audio in 20ms packets
+const FRAME_MS = 20;
+// Lost frames first repeat the last good frame, fading out, longer gaps are filled with comfort noise
+const REPEAT_FRAMES = 3;
+const COMFORT_NOISE_LEVEL = 24; // peak amplitude, about -63 dBFS
+// A sequence jump further ahead than this is a restarted stream (hold, re-INVITE), not packet loss
+const MAX_GAP_FRAMES = 50;
+// Reordering seen on the trunk sets the buffer depth, which shrinks by one frame per this many packets in order
+const DEPTH_DECAY_PACKETS = 250;
+// Sequence numbers of concealed frames kept, to tell late packets from duplicates
+const CONCEALED_HISTORY = 64;
+
+// Signed distance from sequence number b to a, across the 16-bit wraparound
+function seqDiff(a, b) {
+  return ((a - b + 0x8000) & 0xFFFF) - 0x8000;
+}
+
+function comfortNoise(samples) {
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round((Math.random() * 2 - 1) * COMFORT_NOISE_LEVEL), i * 2);
+  }
+  return pcm;
+}
+
+/**
+ * Adaptive jitter buffer for the caller's RTP stream
+ *
+ * Puts packets back in sequence order, drops duplicates and fills lost frames by concealment.
+ * There is no playout clock: providers take caller audio as fast as it arrives, so packets are only
+ * held while a gap in front of them may still be filled. A gap is given up on once more packets
+ * have arrived behind it than the current depth, which follows the reordering and interarrival
+ * jitter (RFC 3550) seen on the call, up to maxDelayMs.
+ */
+class JitterBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.mediaFormat] - ExternalMedia format from audio-converter (default: ulaw)
+   * @param {number} [options.maxDelayMs=100] - Longest wait for a missing packet, 0 conceals gaps at once
+   */
+  constructor({ mediaFormat = MEDIA_FORMATS.ulaw, maxDelayMs = 100 } = {}) {
+    this.mediaFormat = mediaFormat;
+    this.maxDepth = Math.max(0, Math.floor(maxDelayMs / FRAME_MS));
+    this.frames = new Map(); // sequence number -> payload, waiting behind a gap
+    this.concealed = new Set();
+    this.ssrc = null;
+    this.nextSeq = null;
+    this.highestSeq = null;
+    this.baseSeq = null;
+    this.cycles = 0; // sequence number wraparounds, in units of 65536
+    this.accepted = 0; // packets since baseSeq, duplicates excluded
+    this.expectedPrior = 0;
+    this.acceptedPrior = 0;
+    this.reorderDepth = 0;
+    this.inOrderPackets = 0;
+    this.lastArrival = null;
+    this.lastTimestamp = null;
+    this.jitter = 0; // ms
+    this.lastPayload = null;
+    this.lossRun = 0;
+    this.stats = { received: 0, lost: 0, duplicates: 0, late: 0, reordered: 0, resyncs: 0, maxJitterMs: 0 };
+  }
+
+  // Frames that may arrive behind a gap before it is concealed
+  get depth() {
+    const jitterFrames = Math.ceil(2 * this.jitter / FRAME_MS);
+    return Math.min(this.maxDepth, Math.max(1, jitterFrames, this.reorderDepth));
+  }
+
+  /**
+   * Add a packet from the caller
+   * @param {Object} packet - Parsed RTP packet: { sequenceNumber, timestamp, ssrc, payload }
+   * @param {number} [arrivalMs] - Arrival time (default: now)
+   * @returns {Array<Buffer>} - Payloads ready for the provider, in order, concealed frames included
+   */
+  push(packet, arrivalMs = Date.now()) {
+    const ready = [];
+    const seq = packet.sequenceNumber;
+    if (this.nextSeq === null || packet.ssrc !== this.ssrc || seqDiff(seq, this.nextSeq) > MAX_GAP_FRAMES) {
+      if (this.nextSeq !== null) {
+        this.stats.resyncs++;
+        ready.push(...this.drain());
+      }
+      this.ssrc = packet.ssrc;
+      this.nextSeq = seq;
+      this.highestSeq = seq;
+      this.baseSeq = seq;
+      this.cycles = 0;
+      this.accepted = 0;
+      this.expectedPrior = 0;
+      this.acceptedPrior = 0;
+      this.lastArrival = null;
+    }
+    this.stats.received++;
+
+    if (seqDiff(seq, this.nextSeq) < 0 || this.frames.has(seq)) {
+      if (this.concealed.delete(seq)) {
+        // Arrived after its frame was concealed, the buffer was too shallow for this trunk
+        this.stats.late++;
+        this.accepted++;
+        this.adapt(seqDiff(this.highestSeq, seq));
+      } else {
+        this.stats.duplicates++;
+      }
+      return ready;
+    }
+
+    this.accepted++;
+    this.updateJitter(packet.timestamp, arrivalMs);
+    const behind = seqDiff(this.highestSeq, seq);
+    if (behind > 0) {
+      this.stats.reordered++;
+      this.adapt(behind);
+    } else {
+      if (seq < this.highestSeq) {
+        this.cycles += 0x10000;
+      }
+      this.highestSeq = seq;
+      if (++this.inOrderPackets >= DEPTH_DECAY_PACKETS && this.reorderDepth > 0) {
+        this.reorderDepth--;
+        this.inOrderPackets = 0;
+      }
+    }
+
+    this.frames.set(seq, packet.payload);
+    while (this.frames.size > 0) {
+      if (this.frames.has(this.nextSeq)) {
+        ready.push(this.play(this.frames.get(this.nextSeq)));
+        this.frames.delete(this.nextSeq);
+      } else if (this.frames.size > this.depth) {
+        ready.push(this.conceal());
+      } else {
+        break;
+      }
+      this.nextSeq = (this.nextSeq + 1) & 0xFFFF;
+    }
+    return ready;
+  }
+
+  /**
+   * Release everything still held, in order and without concealing the gaps between
+   * @returns {Array<Buffer>}
+   */
+  drain() {
+    const seqs = [...this.frames.keys()].sort((a, b) => seqDiff(a, this.nextSeq) - seqDiff(b, this.nextSeq));
+    const payloads = seqs.map(seq => this.play(this.frames.get(seq)));
+    this.frames.clear();
+    return payloads;
+  }
+
+  adapt(distance) {
+    this.reorderDepth = Math.min(this.maxDepth, Math.max(this.reorderDepth, distance));
+    this.inOrderPackets = 0;
+  }
+
+  // Interarrival jitter, smoothed as in RFC 3550 section 6.4.1
+  updateJitter(timestamp, arrivalMs) {
+    if (this.lastArrival !== null) {
+      const sentMs = ((timestamp - this.lastTimestamp) | 0) * 1000 / this.mediaFormat.sampleRate;
+      const deviation = Math.abs(arrivalMs - this.lastArrival - sentMs);
+      this.jitter += (deviation - this.jitter) / 16;
+      this.stats.maxJitterMs = Math.max(this.stats.maxJitterMs, this.jitter);
+    }
+    this.lastArrival = arrivalMs;
+    this.lastTimestamp = timestamp;
+  }
+
+  play(payload) {
+    this.lastPayload = payload;
+    this.lossRun = 0;
+    return payload;
+  }
+
+  conceal() {
+    this.stats.lost++;
+    this.lossRun++;
+    this.concealed.add(this.nextSeq);
+    if (this.concealed.size > CONCEALED_HISTORY) {
+      this.concealed.delete(this.concealed.values().next().value);
+    }
+    let pcm;
+    if (this.lastPayload && this.lossRun <= REPEAT_FRAMES) {
+      pcm = Buffer.from(decodeToPcm16(this.lastPayload, this.mediaFormat));
+      const gain = 1 - this.lossRun / (REPEAT_FRAMES + 1);
+      for (let i = 0; i + 1 < pcm.length; i += 2) {
+        pcm.writeInt16LE(Math.round(pcm.readInt16LE(i) * gain), i);
+      }
+    } else {
+      const frameBytes = this.lastPayload ? this.lastPayload.length : bytesForMs(this.mediaFormat, FRAME_MS);
+      pcm = comfortNoise(frameBytes / bytesPerSample(this.mediaFormat));
+    }
+    return encodeFromPcm16(pcm, this.mediaFormat);
+  }
+
+  /**
+   * Reception report block on the caller's stream (RFC 3550 appendix A.3), without LSR and DLSR
+   * Loss since the previous call is reported as fractionLost, so call it once per RTCP report.
+   * @returns {Object|null} - { ssrc, fractionLost, cumulativeLost, highestSeq, jitter }, null before any packet
+   */
+  receptionReport() {
+    if (this.ssrc === null) return null;
+    const highestSeq = this.cycles + this.highestSeq;
+    const expected = highestSeq - this.baseSeq + 1;
+    const expectedInterval = expected - this.expectedPrior;
+    const lostInterval = expectedInterval - (this.accepted - this.acceptedPrior);
+    this.expectedPrior = expected;
+    this.acceptedPrior = this.accepted;
+    return {
+      ssrc: this.ssrc,
+      fractionLost: expectedInterval > 0 && lostInterval > 0 ? Math.min(255, Math.floor(lostInterval * 256 / expectedInterval)) : 0,
+      cumulativeLost: expected - this.accepted,
+      highestSeq,
+      jitter: this.jitter * this.mediaFormat.sampleRate / 1000
+    };
+  }
+
+  /**
+   * Loss, jitter and reordering seen so far
+   * @returns {Object} - stats plus lossPercent, jitterMs and depthMs
+   */
+  getStats() {
+    const delivered = this.stats.received - this.stats.duplicates - this.stats.late - this.frames.size;
+    const expected = delivered + this.stats.lost;
+    return {
+      ...this.stats,
+      maxJitterMs: Math.round(this.stats.maxJitterMs * 10) / 10,
+      lossPercent: expected > 0 ? Math.round(this.stats.lost / expected * 1000) / 10 : 0,
+      jitterMs: Math.round(this.jitter * 10) / 10,
+      depthMs: this.depth * FRAME_MS
+    };
+  }
+}
+
+module.exports = { JitterBuffer };
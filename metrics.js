@@ -0,0 +1,173 @@
+const http = require('http');
+const { config, logger } = require('./config');
+const { sipMap, waitingCalls } = require('./state');
+
+logger.info('Loading metrics.js module');
+
+const PREFIX = 'asterisk_ai_';
+const registry = [];
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    this.values = new Map(); // label key -> { labels, value }
+    registry.push(this);
+  }
+
+  entry(labels) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  lines() {
+    return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name without prefix
+   * @param {string} help - Help text
+   * @param {Function} [collect] - Called at scrape time to read the current value
+   */
+  constructor(name, help, collect = null) {
+    super('gauge', name, help);
+    this.collect = collect;
+  }
+
+  set(value, labels = {}) {
+    this.entry(labels).value = value;
+  }
+
+  lines() {
+    if (this.collect) {
+      this.set(this.collect());
+    }
+    return super.lines();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(value, labels = {}) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const entry = this.values.get(key);
+    this.buckets.forEach((bucket, i) => {
+      if (value <= bucket) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  lines() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bucket, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+const metrics = {
+  activeCalls: new Gauge('active_calls', 'Calls currently connected to an AI provider', () => sipMap.size),
+  callsStarted: new Counter('calls_started_total', 'Calls started'),
+  callsEnded: new Counter('calls_ended_total', 'Calls ended, by end reason'),
+  overflowCalls: new Counter('overflow_calls_total', 'Calls that found every call slot in use, by action (queued, redirected, rejected)'),
+  queueLength: new Gauge('call_queue_length', 'Callers waiting for a free call slot', () => waitingCalls.size),
+  queueExits: new Counter('call_queue_exits_total', 'Callers leaving the waiting queue, by outcome (admitted, abandoned, timeout)'),
+  queueWait: new Histogram('call_queue_wait_seconds', 'Time admitted callers spent in the waiting queue', [5, 10, 30, 60, 120, 300, 600]),
+  wsConnects: new Counter('provider_ws_connects_total', 'Provider WebSocket connections opened'),
+  wsFailures: new Counter('provider_ws_failures_total', 'Provider WebSocket errors'),
+  wsRetries: new Counter('provider_ws_retries_total', 'Provider WebSocket reconnect attempts'),
+  providerFailovers: new Counter('provider_failovers_total', 'Calls switched to the next provider in FAILOVER_CHAIN'),
+  rtpPacketsReceived: new Counter('rtp_packets_received_total', 'RTP packets received from Asterisk'),
+  rtpPacketsLost: new Counter('rtp_packets_lost_total', 'Caller RTP packets lost and concealed, counted when the call ends'),
+  rtpPacketsReordered: new Counter('rtp_packets_reordered_total', 'Caller RTP packets that arrived out of order, counted when the call ends'),
+  rtpPacketsDropped: new Counter('rtp_packets_dropped_total', 'Caller RTP packets dropped, by reason (malformed, payload_type, duplicate, late)'),
+  rtpJitter: new Histogram('rtp_jitter_seconds', 'Interarrival jitter of caller RTP at the end of each call', [0.001, 0.005, 0.01, 0.02, 0.03, 0.05, 0.1, 0.2]),
+  rtcpReportsSent: new Counter('rtcp_reports_sent_total', 'RTCP reports sent to Asterisk, by type (sr, rr)'),
+  rtcpReportsReceived: new Counter('rtcp_reports_received_total', 'RTCP reports received from Asterisk, by type (sr, rr)'),
+  rtcpRoundTrip: new Histogram('rtcp_round_trip_seconds', 'Round-trip time to Asterisk measured from its RTCP reports', [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5]),
+  rtpPacketsSent: new Counter('rtp_packets_sent_total', 'RTP packets sent to Asterisk'),
+  rtpBytesSent: new Counter('rtp_bytes_sent_total', 'RTP payload bytes sent to Asterisk'),
+  rtpBufferDiscards: new Counter('rtp_buffer_discarded_bytes_total', 'Audio bytes discarded because the RTP buffer was full'),
+  rtpPtimeDeviations: new Counter('rtp_ptime_deviations_total', 'Outbound RTP packets sent more than 60ms after the previous one'),
+  localBargeIns: new Counter('local_barge_ins_total', 'Assistant replies cut off by local voice activity detection'),
+  callerAudioGated: new Counter('caller_audio_gated_seconds_total', 'Caller audio held back from the provider by the VAD gate'),
+  responseLatency: new Histogram('response_latency_seconds', 'Time from the end of caller speech to the first assistant audio', [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]),
+  rtpPortsInUse: new Gauge('rtp_ports_in_use', 'RTP ports allocated to calls'),
+  rtpPortsCapacity: new Gauge('rtp_ports_capacity', 'RTP ports available (MAX_CONCURRENT_CALLS)', () => config.MAX_CONCURRENT_CALLS)
+};
+
+/**
+ * Render every metric in Prometheus text exposition format
+ * @returns {string}
+ */
+function renderMetrics() {
+  return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
+
+/**
+ * Start the /metrics HTTP endpoint if METRICS_PORT is set
+ * @returns {http.Server|null}
+ */
+function startMetricsServer() {
+  if (!config.METRICS_PORT) {
+    return null;
+  }
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const body = renderMetrics();
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4', 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+  });
+  server.on('error', e => logger.error(`Metrics server error: ${e.message}`));
+  server.listen(config.METRICS_PORT, config.METRICS_HOST, () => {
+    logger.info(`Metrics available at http://${config.METRICS_HOST}:${config.METRICS_PORT}/metrics`);
+  });
+  return server;
+}
+
+module.exports = { metrics, renderMetrics, startMetricsServer };
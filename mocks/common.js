@@ -0,0 +1,292 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+// Used when no scenario file is given: greet, then answer every caller turn
+const DEFAULT_SCENARIO = {
+  greeting: 'Hello, this is the mock assistant. How can I help you today?',
+  turns: [],
+  fallbackReply: 'I heard you. This is a scripted reply from the mock server.',
+  msPerChar: 60,
+  chunkMs: 100,
+  vad: { threshold: 500, startMs: 60, silenceMs: 500 }
+};
+
+/**
+ * Load a scenario file, missing keys fall back to DEFAULT_SCENARIO
+ *
+ * A scenario is JSON. Each caller turn (speech followed by silence, keypad input or an operator
+ * instruction) consumes the next entry of turns:
+ * - { "user": "what the caller said", "reply": "text" } – transcript and spoken reply
+ * - { "toolCall": { "name": "...", "args": {} }, "reply": "text" } – call a tool, speak once the result is back
+ * - { "error": "message" } – fail the session (OpenAI error event, Gemini close code 1011)
+ * - { "drop": true } – cut the connection without a close frame
+ * Replies are a tone whose length follows the text (msPerChar), streamed in real time.
+ * @param {string} [file] - Path of the scenario file
+ * @returns {Object} - Scenario
+ */
+function loadScenario(file) {
+  const scenario = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  return {
+    ...DEFAULT_SCENARIO,
+    ...scenario,
+    vad: { ...DEFAULT_SCENARIO.vad, ...(scenario.vad || {}) }
+  };
+}
+
+function log(name, msg) {
+  if (process.env.MOCK_QUIET === 'true') return;
+  console.log(`${new Date().toISOString()} [mock:${name}] ${msg}`);
+}
+
+/**
+ * Sine tone standing in for assistant speech
+ * @param {number} ms - Duration
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Int16Array}
+ */
+function tone(ms, sampleRate) {
+  const samples = new Int16Array(Math.round(ms * sampleRate / 1000));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(8000 * Math.sin(2 * Math.PI * 440 * i / sampleRate));
+  }
+  return samples;
+}
+
+function mulawDecode(byte) {
+  const value = ~byte & 0xFF;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0F) << 3) + 0x84) << exponent) - 0x84;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+function mulawEncode(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), 32635) + 0x84;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+  return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+function alawDecode(byte) {
+  const value = byte ^ 0x55;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = exponent === 0 ? ((value & 0x0F) << 4) + 8 : (((value & 0x0F) << 4) + 0x108) << (exponent - 1);
+  return value & 0x80 ? magnitude : -magnitude;
+}
+
+function alawEncode(sample) {
+  const mask = sample >= 0 ? 0xD5 : 0x55;
+  const magnitude = sample >= 0 ? sample >> 3 : -(sample >> 3) - 1;
+  let exponent = 0;
+  while (exponent < 8 && magnitude > (0x20 << exponent) - 1) {
+    exponent++;
+  }
+  if (exponent === 8) return 0x7F ^ mask;
+  const mantissa = (exponent < 2 ? magnitude >> 1 : magnitude >> exponent) & 0x0F;
+  return ((exponent << 4) | mantissa) ^ mask;
+}
+
+/**
+ * @param {Buffer} mulaw - μ-law audio
+ * @returns {Int16Array}
+ */
+function mulawToPcm16(mulaw) {
+  return Int16Array.from(mulaw, mulawDecode);
+}
+
+/**
+ * @param {Int16Array} pcm - 16-bit samples
+ * @returns {Buffer}
+ */
+function pcm16ToMulaw(pcm) {
+  return Buffer.from(Array.from(pcm, mulawEncode));
+}
+
+/**
+ * @param {Buffer} alaw - A-law audio
+ * @returns {Int16Array}
+ */
+function alawToPcm16(alaw) {
+  return Int16Array.from(alaw, alawDecode);
+}
+
+/**
+ * @param {Int16Array} pcm - 16-bit samples
+ * @returns {Buffer}
+ */
+function pcm16ToAlaw(pcm) {
+  return Buffer.from(Array.from(pcm, alawEncode));
+}
+
+/**
+ * Energy based voice activity detection on caller audio, emits 'start' and 'stop'
+ */
+class SpeechDetector extends EventEmitter {
+  constructor({ threshold, startMs, silenceMs }) {
+    super();
+    this.threshold = threshold;
+    this.startMs = startMs;
+    this.silenceMs = silenceMs;
+    this.speaking = false;
+    this.loudMs = 0;
+    this.quietMs = 0;
+  }
+
+  /**
+   * @param {Int16Array} samples - Caller audio
+   * @param {number} sampleRate - Sample rate in Hz
+   */
+  push(samples, sampleRate) {
+    if (samples.length === 0) return;
+    let sum = 0;
+    for (const sample of samples) {
+      sum += sample * sample;
+    }
+    const loud = Math.sqrt(sum / samples.length) >= this.threshold;
+    const ms = samples.length * 1000 / sampleRate;
+    if (loud) {
+      this.loudMs += ms;
+      this.quietMs = 0;
+      if (!this.speaking && this.loudMs >= this.startMs) {
+        this.speaking = true;
+        this.emit('start');
+      }
+    } else {
+      this.quietMs += ms;
+      this.loudMs = 0;
+      if (this.speaking && this.quietMs >= this.silenceMs) {
+        this.speaking = false;
+        this.emit('stop');
+      }
+    }
+  }
+}
+
+/**
+ * One client connection of a mock server
+ *
+ * Holds the scenario cursor, caller speech detection and the reply in progress. Protocol
+ * subclasses translate between their wire format and these hooks:
+ * beginResponse(), sendAudio(samples), endResponse(text, cancelled), sendUserTranscript(text),
+ * sendSpeechStarted(), sendToolCall(call), sendError(message)
+ */
+class MockSession {
+  constructor(name, ws, scenario, outputRate) {
+    this.name = name;
+    this.ws = ws;
+    this.scenario = scenario;
+    this.outputRate = outputRate;
+    this.turnIndex = 0;
+    this.greeted = false;
+    this.response = null; // { cancelled } of the reply being streamed
+    this.pendingReply = null; // reply spoken once tool results arrive
+    this.detector = new SpeechDetector(scenario.vad);
+    this.detector.on('start', () => this.onSpeechStart());
+    this.detector.on('stop', () => this.onCallerTurn());
+  }
+
+  log(msg) {
+    log(this.name, msg);
+  }
+
+  send(message) {
+    if (this.ws.readyState === this.ws.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  onSpeechStart() {
+    this.sendSpeechStarted();
+    if (this.response) {
+      this.log('Caller barged in, cancelling reply');
+      this.cancelResponse();
+    }
+  }
+
+  cancelResponse() {
+    if (this.response) {
+      this.response.cancelled = true;
+    }
+  }
+
+  // Next scripted turn, used for caller speech and text input alike
+  nextTurn() {
+    const turn = this.scenario.turns[this.turnIndex] || { reply: this.scenario.fallbackReply };
+    this.turnIndex++;
+    return turn;
+  }
+
+  onCallerTurn() {
+    const turn = this.nextTurn();
+    this.sendUserTranscript(turn.user || `(caller turn ${this.turnIndex})`);
+    this.play(turn);
+  }
+
+  /**
+   * Act out a scripted turn
+   * @param {Object} turn - Scenario turn
+   */
+  play(turn) {
+    if (turn.drop) {
+      this.log('Dropping connection as scripted');
+      this.ws.terminate();
+      return;
+    }
+    if (turn.error) {
+      this.log(`Injecting error: ${turn.error}`);
+      this.sendError(turn.error);
+      return;
+    }
+    if (turn.toolCall) {
+      this.pendingReply = turn.reply || this.scenario.fallbackReply;
+      this.sendToolCall({ id: `call_${Date.now()}`, name: turn.toolCall.name, args: turn.toolCall.args || {} });
+      return;
+    }
+    this.speak(turn.reply || this.scenario.fallbackReply);
+  }
+
+  // Speak the greeting, or the reply waiting for a tool result
+  greetOrContinue() {
+    if (this.pendingReply) {
+      const reply = this.pendingReply;
+      this.pendingReply = null;
+      this.speak(reply);
+    } else if (!this.greeted) {
+      this.greeted = true;
+      this.speak(this.scenario.greeting);
+    } else {
+      this.play(this.nextTurn());
+    }
+  }
+
+  /**
+   * Stream a reply as audio chunks in real time, stops early when cancelled
+   * @param {string} text - Reply text, sets the audio length
+   */
+  async speak(text) {
+    this.cancelResponse();
+    const response = { cancelled: false };
+    this.response = response;
+    this.beginResponse();
+    const audio = tone(Math.max(500, text.length * this.scenario.msPerChar), this.outputRate);
+    const chunkSamples = Math.round(this.scenario.chunkMs * this.outputRate / 1000);
+    for (let offset = 0; offset < audio.length && !response.cancelled; offset += chunkSamples) {
+      this.sendAudio(audio.subarray(offset, offset + chunkSamples));
+      await new Promise(resolve => setTimeout(resolve, this.scenario.chunkMs));
+    }
+    if (this.response === response) {
+      this.response = null;
+    }
+    this.endResponse(text, response.cancelled);
+  }
+
+  close() {
+    this.cancelResponse();
+    this.detector.removeAllListeners();
+  }
+}
+
+module.exports = { DEFAULT_SCENARIO, loadScenario, log, tone, mulawToPcm16, pcm16ToMulaw, alawToPcm16, pcm16ToAlaw, SpeechDetector, MockSession };
@@ -0,0 +1,146 @@
+const WebSocket = require('ws');
+const { v4: uuid } = require('uuid');
+const { log, MockSession } = require('./common');
+
+/**
+ * One Gemini Live session: PCM 16kHz in, PCM 24kHz out, setup first, session resumption
+ */
+class GeminiMockSession extends MockSession {
+  /**
+   * @param {WebSocket} ws - Client connection
+   * @param {Object} scenario - Scenario from loadScenario()
+   * @param {Map} handles - Functions returning the resumable session state by handle, shared by the
+   *   connections of a server
+   */
+  constructor(ws, scenario, handles) {
+    super('gemini', ws, scenario, 24000);
+    this.handles = handles;
+    this.setupDone = false;
+    this.resumption = false;
+    this.resumed = false; // set up with a resumption handle
+  }
+
+  handleMessage(message) {
+    if (!this.setupDone) {
+      if (!message.setup) {
+        this.ws.close(1007, 'First message must be setup');
+        return;
+      }
+      this.setup(message.setup);
+      return;
+    }
+    if (message.realtimeInput) {
+      for (const chunk of message.realtimeInput.mediaChunks || []) {
+        const pcm = Uint8Array.from(Buffer.from(chunk.data, 'base64'));
+        this.detector.push(new Int16Array(pcm.buffer, 0, pcm.length >> 1), 16000);
+      }
+    } else if (message.clientContent) {
+      this.addTurns(message.clientContent);
+    } else if (message.toolResponse) {
+      this.greetOrContinue();
+    } else {
+      this.log(`Ignoring client message ${Object.keys(message).join(', ')}`);
+    }
+  }
+
+  setup(setup) {
+    this.setupDone = true;
+    this.resumption = Boolean(setup.sessionResumption);
+    const handle = setup.sessionResumption && setup.sessionResumption.handle;
+    if (handle) {
+      const getState = this.handles.get(handle);
+      if (!getState) {
+        this.ws.close(1008, 'Unknown session resumption handle');
+        return;
+      }
+      Object.assign(this, getState());
+      this.resumed = true;
+      this.log(`Session resumed at turn ${this.turnIndex}`);
+    }
+    this.send({ setupComplete: {} });
+    this.sendResumptionUpdate();
+  }
+
+  addTurns({ turns = [], turnComplete }) {
+    // A replayed conversation already has its greeting, and its caller turns are used up
+    if (turns.some(turn => turn.role === 'model')) {
+      this.greeted = true;
+      this.turnIndex = turns.filter(turn => turn.role === 'user').length;
+    }
+    if (turnComplete) {
+      this.greetOrContinue();
+    }
+  }
+
+  sendResumptionUpdate() {
+    if (!this.resumption) return;
+    const newHandle = uuid();
+    // Like the real service, a resumed session continues from where the old connection stopped
+    this.handles.set(newHandle, () => ({ turnIndex: this.turnIndex, greeted: this.greeted }));
+    this.send({ sessionResumptionUpdate: { newHandle, resumable: true } });
+  }
+
+  sendSpeechStarted() {}
+
+  sendUserTranscript(text) {
+    this.send({ serverContent: { inputTranscription: { text } } });
+  }
+
+  beginResponse() {}
+
+  sendAudio(samples) {
+    const data = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength).toString('base64');
+    this.send({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data } }] } } });
+  }
+
+  endResponse(text, cancelled) {
+    if (cancelled) {
+      this.send({ serverContent: { interrupted: true } });
+      return;
+    }
+    this.send({ serverContent: { outputTranscription: { text } } });
+    this.send({ serverContent: { turnComplete: true } });
+    this.sendResumptionUpdate();
+  }
+
+  sendToolCall({ id, name, args }) {
+    this.send({ toolCall: { functionCalls: [{ id, name, args }] } });
+  }
+
+  // Gemini reports fatal errors by closing the connection
+  sendError(message) {
+    this.ws.close(1011, message);
+  }
+}
+
+/**
+ * Start a local stand-in for the Gemini Live (BidiGenerateContent) API
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on, 0 picks a free one
+ * @param {Object} options.scenario - Scenario from loadScenario()
+ * @returns {WebSocket.Server} - emits 'session' with each GeminiMockSession
+ */
+function startGeminiMock({ port, scenario }) {
+  const server = new WebSocket.Server({ port });
+  const handles = new Map();
+  server.on('connection', (ws) => {
+    log('gemini', 'Client connected');
+    const session = new GeminiMockSession(ws, scenario, handles);
+    server.emit('session', session);
+    ws.on('message', (data) => {
+      try {
+        session.handleMessage(JSON.parse(data.toString()));
+      } catch (e) {
+        log('gemini', `Bad client message: ${e.message}`);
+      }
+    });
+    ws.on('close', () => {
+      session.close();
+      log('gemini', 'Client disconnected');
+    });
+  });
+  server.on('listening', () => log('gemini', `Listening on ws://127.0.0.1:${server.address().port}`));
+  return server;
+}
+
+module.exports = { startGeminiMock, GeminiMockSession };
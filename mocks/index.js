@@ -0,0 +1,31 @@
+// Local stand-ins for the OpenAI Realtime and Gemini Live APIs
+// Usage: node mocks [openai|gemini|all] [--scenario file.json]
+const { loadScenario, log } = require('./common');
+const { startOpenAIMock } = require('./openai');
+const { startGeminiMock } = require('./gemini');
+
+const args = process.argv.slice(2);
+const scenarioIndex = args.indexOf('--scenario');
+const scenarioFile = scenarioIndex >= 0 ? args[scenarioIndex + 1] : process.env.MOCK_SCENARIO;
+const which = args.find((arg, i) => !arg.startsWith('--') && (scenarioIndex < 0 || i !== scenarioIndex + 1)) || 'all';
+
+if (!['openai', 'gemini', 'all'].includes(which)) {
+  console.error('Usage: node mocks [openai|gemini|all] [--scenario file.json]');
+  process.exit(1);
+}
+
+const scenario = loadScenario(scenarioFile);
+log('mocks', `Scenario: ${scenarioFile || 'default'} (${scenario.turns.length} scripted turns)`);
+
+const servers = [];
+if (which !== 'gemini') {
+  servers.push(startOpenAIMock({ port: Number(process.env.MOCK_OPENAI_PORT) || 8081, scenario }));
+}
+if (which !== 'openai') {
+  servers.push(startGeminiMock({ port: Number(process.env.MOCK_GEMINI_PORT) || 8082, scenario }));
+}
+
+process.on('SIGINT', () => {
+  servers.forEach(server => server.close());
+  process.exit(0);
+});
@@ -0,0 +1,201 @@
+const WebSocket = require('ws');
+const { v4: uuid } = require('uuid');
+const { log, mulawToPcm16, pcm16ToMulaw, alawToPcm16, pcm16ToAlaw, MockSession } = require('./common');
+
+const shortId = prefix => `${prefix}_${uuid().replace(/-/g, '').substring(0, 20)}`;
+
+// Audio formats of the Realtime API: sample rate, caller audio decoder, reply encoder
+const AUDIO_FORMATS = {
+  g711_ulaw: { rate: 8000, decode: mulawToPcm16, encode: pcm16ToMulaw },
+  g711_alaw: { rate: 8000, decode: alawToPcm16, encode: pcm16ToAlaw },
+  pcm16: {
+    rate: 24000,
+    decode: bytes => Int16Array.from({ length: bytes.length >> 1 }, (_, i) => bytes.readInt16LE(i * 2)),
+    encode: samples => Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength)
+  }
+};
+
+/**
+ * One OpenAI Realtime session: G.711 or 24kHz PCM in and out, server VAD, response events
+ */
+class OpenAIMockSession extends MockSession {
+  constructor(ws, scenario) {
+    super('openai', ws, scenario, 8000);
+    this.items = [];
+    this.responded = false;
+    this.replayedUserTurns = 0;
+    this.responseId = null;
+    this.itemId = null;
+    this.audioMs = new Map(); // assistant item id -> ms of audio sent
+    this.truncations = []; // { itemId, audioEndMs, audioMs, at } of accepted truncate events
+    this.inputFormat = AUDIO_FORMATS.g711_ulaw;
+    this.outputFormat = AUDIO_FORMATS.g711_ulaw;
+    this.send({ type: 'session.created', session: { id: shortId('sess') } });
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'session.update':
+        this.setFormats(message.session);
+        this.send({ type: 'session.updated', session: message.session });
+        break;
+      case 'input_audio_buffer.append':
+        this.detector.push(this.inputFormat.decode(Buffer.from(message.audio || '', 'base64')), this.inputFormat.rate);
+        break;
+      case 'conversation.item.create':
+        this.addItem(message.item);
+        if (!this.responded) {
+          this.restoreItem(message.item);
+        }
+        break;
+      case 'response.create':
+        this.setFormats(message.response);
+        this.greetOrContinue();
+        break;
+      case 'conversation.item.truncate':
+        this.truncateItem(message);
+        break;
+      case 'response.cancel':
+        if (!this.response) {
+          this.send({ type: 'error', error: { type: 'invalid_request_error', message: 'Cancellation failed: no active response found' } });
+        }
+        this.cancelResponse();
+        break;
+      default:
+        this.log(`Ignoring client event ${message.type}`);
+    }
+  }
+
+  setFormats({ input_audio_format: input, output_audio_format: output } = {}) {
+    for (const name of [input, output]) {
+      if (name && !AUDIO_FORMATS[name]) {
+        this.send({ type: 'error', error: { type: 'invalid_request_error', message: `Invalid audio format: ${name}` } });
+        return;
+      }
+    }
+    if (input) this.inputFormat = AUDIO_FORMATS[input];
+    if (output) {
+      this.outputFormat = AUDIO_FORMATS[output];
+      this.outputRate = this.outputFormat.rate;
+    }
+  }
+
+  truncateItem({ item_id: itemId, content_index: contentIndex, audio_end_ms: audioEndMs }) {
+    const audioMs = this.audioMs.get(itemId);
+    if (audioMs === undefined || contentIndex !== 0) {
+      this.send({ type: 'error', error: { type: 'invalid_request_error', message: `No audio content ${contentIndex} in item ${itemId}` } });
+      return;
+    }
+    if (!(audioEndMs >= 0) || audioEndMs > audioMs) {
+      this.send({ type: 'error', error: { type: 'invalid_request_error', message: `Audio content of ${Math.round(audioMs)}ms is already shorter than ${audioEndMs}ms` } });
+      return;
+    }
+    this.log(`Truncating item ${itemId} at ${audioEndMs}ms of ${Math.round(audioMs)}ms`);
+    this.truncations.push({ itemId, audioEndMs, audioMs, at: Date.now() });
+    this.send({ type: 'conversation.item.truncated', item_id: itemId, content_index: 0, audio_end_ms: audioEndMs });
+  }
+
+  addItem(item) {
+    const stored = { id: item.id || shortId('item'), ...item };
+    this.items.push(stored);
+    this.send({ type: 'conversation.item.created', item: stored });
+  }
+
+  // Items created before the first response replay an earlier conversation: it already has its
+  // greeting, and its caller turns are used up
+  restoreItem(item) {
+    if (item.role === 'assistant') {
+      this.greeted = true;
+    } else if (item.role === 'user') {
+      this.replayedUserTurns++;
+    }
+    if (this.greeted) {
+      this.turnIndex = this.replayedUserTurns;
+    }
+  }
+
+  sendSpeechStarted() {
+    this.send({ type: 'input_audio_buffer.speech_started', item_id: shortId('item') });
+  }
+
+  sendUserTranscript(text) {
+    const itemId = shortId('item');
+    this.send({ type: 'input_audio_buffer.speech_stopped', item_id: itemId });
+    this.send({ type: 'input_audio_buffer.committed', item_id: itemId });
+    this.addItem({ id: itemId, type: 'message', role: 'user', content: [{ type: 'input_audio', transcript: null }] });
+    this.send({ type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, content_index: 0, transcript: text });
+  }
+
+  beginResponse() {
+    this.responded = true;
+    this.responseId = shortId('resp');
+    this.itemId = shortId('item');
+    this.send({ type: 'response.created', response: { id: this.responseId, status: 'in_progress' } });
+  }
+
+  sendAudio(samples) {
+    this.audioMs.set(this.itemId, (this.audioMs.get(this.itemId) || 0) + samples.length * 1000 / this.outputRate);
+    this.send({
+      type: 'response.audio.delta',
+      response_id: this.responseId,
+      item_id: this.itemId,
+      delta: this.outputFormat.encode(samples).toString('base64')
+    });
+  }
+
+  endResponse(text, cancelled) {
+    if (!cancelled) {
+      this.send({ type: 'response.audio.done', response_id: this.responseId, item_id: this.itemId });
+      this.send({ type: 'response.audio_transcript.done', response_id: this.responseId, item_id: this.itemId, transcript: text });
+      this.items.push({ id: this.itemId, type: 'message', role: 'assistant' });
+    }
+    this.send({ type: 'response.done', response: { id: this.responseId, status: cancelled ? 'cancelled' : 'completed' } });
+  }
+
+  sendToolCall({ id, name, args }) {
+    this.beginResponse();
+    this.send({
+      type: 'response.function_call_arguments.done',
+      response_id: this.responseId,
+      call_id: id,
+      name,
+      arguments: JSON.stringify(args)
+    });
+    this.send({ type: 'response.done', response: { id: this.responseId, status: 'completed' } });
+  }
+
+  sendError(message) {
+    this.send({ type: 'error', error: { type: 'server_error', message } });
+  }
+}
+
+/**
+ * Start a local stand-in for the OpenAI Realtime API
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on, 0 picks a free one
+ * @param {Object} options.scenario - Scenario from loadScenario()
+ * @returns {WebSocket.Server} - emits 'session' with each OpenAIMockSession
+ */
+function startOpenAIMock({ port, scenario }) {
+  const server = new WebSocket.Server({ port });
+  server.on('connection', (ws) => {
+    log('openai', 'Client connected');
+    const session = new OpenAIMockSession(ws, scenario);
+    server.emit('session', session);
+    ws.on('message', (data) => {
+      try {
+        session.handleMessage(JSON.parse(data.toString()));
+      } catch (e) {
+        log('openai', `Bad client message: ${e.message}`);
+      }
+    });
+    ws.on('close', () => {
+      session.close();
+      log('openai', 'Client disconnected');
+    });
+  });
+  server.on('listening', () => log('openai', `Listening on ws://127.0.0.1:${server.address().port}`));
+  return server;
+}
+
+module.exports = { startOpenAIMock, OpenAIMockSession };
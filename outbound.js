@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { config, logger } = require('./config');
+const { sipMap, cleanupPromises } = require('./state');
+const { renderTemplate } = require('./template');
+const { releaseRtpPort } = require('./rtp');
+const { reserveCall } = require('./admission');
+
+logger.info('Loading outbound.js module');
+
+// Q.850 hangup causes of calls that were never answered
+const BUSY_CAUSES = [17];
+const NO_ANSWER_CAUSES = [18, 19];
+
+// Outbound calls waiting for an outcome, by channel ID: { options, endpoint, port, answered, startTime, resolve }
+const outboundCalls = new Map();
+let ariClient = null;
+
+/**
+ * Thrown by originateCall when every call slot is taken
+ */
+class NoCapacityError extends Error {
+  constructor() {
+    super(`All ${config.MAX_CONCURRENT_CALLS} call slots are in use`);
+    this.name = 'NoCapacityError';
+  }
+}
+
+function settle(channelId, outcome) {
+  const call = outboundCalls.get(channelId);
+  if (!call) return;
+  outboundCalls.delete(channelId);
+  // The slot reserved for a call that was never answered goes back to the pool
+  if (!call.answered) {
+    releaseRtpPort(call.port);
+  }
+  const result = { channelId, endpoint: call.endpoint, cause: null, causeText: '', endReason: null, durationSeconds: 0, ...outcome };
+  logger.info(`Outbound call ${channelId} to ${call.endpoint} finished: ${result.status}${result.endReason ? ` (${result.endReason})` : ''}`);
+  call.resolve(result);
+}
+
+function handleChannelDestroyed(evt, channel) {
+  const call = outboundCalls.get(channel.id);
+  if (!call) return;
+  // Answered calls are settled by finishOutboundCall once cleanup is done
+  if (call.answered && (sipMap.has(channel.id) || cleanupPromises.has(channel.id))) return;
+  let status = 'failed';
+  if (!call.answered && BUSY_CAUSES.includes(evt.cause)) {
+    status = 'busy';
+  } else if (!call.answered && NO_ANSWER_CAUSES.includes(evt.cause)) {
+    status = 'no_answer';
+  }
+  settle(channel.id, { status, cause: evt.cause, causeText: evt.cause_txt || '' });
+}
+
+/**
+ * Enable outbound calls on a connected ARI client
+ * @param {Object} client - Connected ari-client instance
+ */
+function startOutbound(client) {
+  ariClient = client;
+  ariClient.on('ChannelDestroyed', handleChannelDestroyed);
+}
+
+/**
+ * Originate an outbound AI call into the ARI application
+ * The call slot is reserved before dialing, so nobody is rung without one. When answered, the call
+ * gets the same bridge, ExternalMedia and provider setup as inbound calls.
+ * @param {Object} options - Call options
+ * @param {string} [options.number] - Number to call, filled into OUTBOUND_ENDPOINT
+ * @param {string} [options.endpoint] - Full endpoint to call (e.g. PJSIP/1001), overrides number
+ * @param {string} [options.prompt] - System prompt for this call
+ * @param {string} [options.initialMessage] - Initial message for this call
+ * @param {Object} [options.variables] - Channel variables, also available in templates as {{var.NAME}}
+ * @param {string} [options.profile] - Call profile name
+ * @param {string} [options.callerId] - Caller ID presented to the called party
+ * @param {number} [options.timeout] - Seconds to wait for an answer
+ * @returns {Promise<Object>} - { channelId, endpoint, outcome }, outcome resolves when the call ends with
+ *   { channelId, endpoint, status: 'answered'|'busy'|'no_answer'|'failed', cause, causeText, endReason, durationSeconds }.
+ *   Rejects with NoCapacityError when every call slot is taken.
+ */
+async function originateCall(options = {}) {
+  if (!ariClient) {
+    throw new Error('ARI client is not connected');
+  }
+  if (!options.endpoint && !options.number) {
+    throw new Error('Either number or endpoint is required');
+  }
+  if (options.profile && !/^[\w-]+$/.test(options.profile)) {
+    throw new Error(`Invalid profile name "${options.profile}"`);
+  }
+  const endpoint = options.endpoint || renderTemplate(config.OUTBOUND_ENDPOINT, { number: options.number });
+  const variables = {};
+  for (const [name, value] of Object.entries({ number: options.number, ...options.variables })) {
+    if (value !== undefined && value !== null) {
+      variables[name] = String(value);
+    }
+  }
+  const channelId = `outbound-${crypto.randomUUID()}`;
+  const appArgs = ['outbound=1'];
+  if (options.profile) {
+    appArgs.push(`profile=${options.profile}`);
+  }
+  const params = {
+    endpoint,
+    app: config.ARI_APP,
+    appArgs: appArgs.join(','),
+    channelId,
+    timeout: options.timeout || config.OUTBOUND_TIMEOUT_SECONDS,
+    variables
+  };
+  const callerId = options.callerId || config.OUTBOUND_CALLER_ID;
+  if (callerId) {
+    params.callerId = callerId;
+  }
+
+  const port = reserveCall();
+  if (port === null) {
+    throw new NoCapacityError();
+  }
+  let resolve;
+  const outcome = new Promise(r => { resolve = r; });
+  outboundCalls.set(channelId, { options: { ...options, variables }, endpoint, port, answered: false, startTime: null, resolve });
+  try {
+    await ariClient.channels.originate(params);
+  } catch (e) {
+    outboundCalls.delete(channelId);
+    releaseRtpPort(port);
+    throw new Error(`Originate to ${endpoint} failed: ${e.message}`);
+  }
+  logger.info(`Outbound call ${channelId} to ${endpoint} originated`);
+  return { channelId, endpoint, outcome };
+}
+
+/**
+ * Mark an outbound call as answered when it enters the ARI application
+ * From here on the call's RTP port belongs to the call setup in asterisk.js.
+ * @param {string} channelId - Channel ID from StasisStart
+ * @returns {Object|null} - { options, port }: the options the call was originated with and the RTP port
+ *   reserved for it, null for inbound calls
+ */
+function claimOutboundCall(channelId) {
+  const call = outboundCalls.get(channelId);
+  if (!call) return null;
+  call.answered = true;
+  call.startTime = Date.now();
+  logger.info(`Outbound call ${channelId} to ${call.endpoint} answered`);
+  return { options: call.options, port: call.port };
+}
+
+/**
+ * Report the outcome of an answered outbound call after its cleanup
+ * @param {Object} channelData - sipMap entry of the call
+ */
+function finishOutboundCall(channelData) {
+  const call = outboundCalls.get(channelData.channelId);
+  if (!call) return;
+  settle(channelData.channelId, {
+    status: 'answered',
+    endReason: channelData.endReason || 'caller_hangup',
+    durationSeconds: Math.round((Date.now() - call.startTime) / 1000)
+  });
+}
+
+module.exports = { NoCapacityError, startOutbound, originateCall, claimOutboundCall, finishOutboundCall };
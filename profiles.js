@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { config, buildProviderConfig, logger } = require('./config');
+const { getProviderClass } = require('./providers');
+const { getMediaFormat } = require('./audio-converter');
+
+logger.info('Loading profiles.js module');
+
+/**
+ * Load a named call profile from PROFILES_DIR/<name>.conf
+ * Profiles use the same KEY=value format as openai.conf and gemini.conf. Keys a profile
+ * leaves out fall back to the values loaded at startup.
+ * @param {string} name - Profile name (letters, digits, dash and underscore)
+ * @returns {Object} - Call configuration for channels using this profile
+ */
+function loadProfile(name) {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid profile name "${name}"`);
+  }
+  const file = path.resolve(__dirname, config.PROFILES_DIR, `${name}.conf`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Profile file ${file} not found`);
+  }
+  const env = { ...process.env, ...dotenv.parse(fs.readFileSync(file)) };
+  const provider = (env.AI_PROVIDER || config.AI_PROVIDER).toLowerCase();
+  const Provider = getProviderClass(provider);
+  if (!Provider) {
+    throw new Error(`Unknown AI_PROVIDER "${provider}" in profile ${name}`);
+  }
+  const callConfig = {
+    ...config,
+    ...buildProviderConfig(provider, env),
+    AI_PROVIDER: provider,
+    PROFILE: name,
+    SYSTEM_PROMPT: env.SYSTEM_PROMPT,
+    INITIAL_MESSAGE: env.INITIAL_MESSAGE || 'Hi',
+    EXTERNAL_MEDIA_FORMAT: getMediaFormat(env.EXTERNAL_MEDIA_FORMAT || config.EXTERNAL_MEDIA_FORMAT).name
+  };
+  if (!callConfig.SYSTEM_PROMPT || callConfig.SYSTEM_PROMPT.trim() === '') {
+    throw new Error(`SYSTEM_PROMPT is missing or empty in profile ${name}`);
+  }
+  const apiKeySetting = Provider.apiKeySetting;
+  if (apiKeySetting && (!callConfig[apiKeySetting] || callConfig[apiKeySetting].trim() === '')) {
+    throw new Error(`${apiKeySetting} is missing for profile ${name}`);
+  }
+  return callConfig;
+}
+
+/**
+ * Build the configuration of a failover provider for a call
+ * Provider settings come from the environment and, when present, that provider's <provider>.conf
+ * (e.g. gemini.conf). Prompt, greeting and every other setting stay those of the call.
+ * @param {Object} callConfig - Configuration the call started with
+ * @param {string} provider - Failover provider name
+ * @returns {Object} - Call configuration using the failover provider
+ */
+function buildFailoverConfig(callConfig, provider) {
+  const file = path.resolve(__dirname, `${provider}.conf`);
+  const fileEnv = fs.existsSync(file) ? dotenv.parse(fs.readFileSync(file)) : {};
+  return {
+    ...callConfig,
+    ...buildProviderConfig(provider, { ...fileEnv, ...process.env }),
+    AI_PROVIDER: provider
+  };
+}
+
+/**
+ * Parse Stasis application arguments
+ * Supports key=value pairs (Stasis(app,profile=sales)) and a bare profile name (Stasis(app,sales)).
+ * @param {string[]} args - evt.args from StasisStart
+ * @returns {Object} - Parsed arguments
+ */
+function parseStasisArgs(args = []) {
+  const parsed = {};
+  for (const arg of args) {
+    const index = arg.indexOf('=');
+    if (index > 0) {
+      parsed[arg.slice(0, index).trim()] = arg.slice(index + 1).trim();
+    } else if (arg.trim() && !parsed.profile) {
+      parsed.profile = arg.trim();
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Pick the call configuration for a channel
+ * The Stasis "profile" argument wins over the PROFILE_VARIABLE channel variable. Unknown or
+ * invalid profiles fall back to the default configuration so the call is still answered.
+ * @param {string} channelId - Channel ID (for logging)
+ * @param {Object} stasisArgs - Parsed Stasis arguments
+ * @param {string|null} profileVariable - Value of the profile channel variable
+ * @returns {Object} - Call configuration
+ */
+function resolveCallConfig(channelId, stasisArgs, profileVariable) {
+  const name = stasisArgs.profile || profileVariable;
+  if (!name) {
+    return config;
+  }
+  try {
+    const callConfig = loadProfile(name);
+    logger.info(`Profile ${name} selected for ${channelId} (provider: ${callConfig.AI_PROVIDER})`);
+    return callConfig;
+  } catch (e) {
+    logger.error(`Failed to load profile ${name} for ${channelId}, using defaults: ${e.message}`);
+    return config;
+  }
+}
+
+/**
+ * Pick the ExternalMedia format of a call
+ * The Stasis "format" argument (Stasis(app,format=alaw)) wins over EXTERNAL_MEDIA_FORMAT of the
+ * call configuration. An unknown format falls back to the configured one.
+ * @param {string} channelId - Channel ID (for logging)
+ * @param {Object} stasisArgs - Parsed Stasis arguments
+ * @param {Object} callConfig - Call configuration
+ * @returns {Object} - Media format from audio-converter
+ */
+function resolveMediaFormat(channelId, stasisArgs, callConfig) {
+  if (stasisArgs.format) {
+    try {
+      return getMediaFormat(stasisArgs.format);
+    } catch (e) {
+      logger.error(`Ignoring format argument for ${channelId}: ${e.message}`);
+    }
+  }
+  return getMediaFormat(callConfig.EXTERNAL_MEDIA_FORMAT);
+}
+
+module.exports = { loadProfile, buildFailoverConfig, parseStasisArgs, resolveCallConfig, resolveMediaFormat };
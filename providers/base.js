@@ -0,0 +1,342 @@
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { logger, logClient } = require('../config');
+const { metrics } = require('../metrics');
+const { MEDIA_FORMATS, createConverter } = require('../audio-converter');
+
+const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 1000;
+const STATES = ['connecting', 'open', 'closing', 'closed'];
+// Sent after the conversation so far when a call is handed over from a failed provider
+const HANDOVER_INSTRUCTION = 'This call was handed over to you from another assistant after a technical problem. '
+  + 'Continue the conversation from where it stopped and briefly apologise for the interruption.';
+
+/**
+ * Base class of realtime AI backends
+ *
+ * A backend is one file in providers/ exporting a subclass. It owns the wire protocol and the
+ * audio format of its service. The call session (ai-session.js) only sees this contract:
+ *
+ * Methods: connect(), sendCallerAudio(audio), endAudioStream(), interrupt(),
+ * truncateAudio(itemId, audioEndMs), sendText(text, { instruction }), sendToolResults(results), close()
+ *
+ * Events:
+ * - 'audio' (Buffer, itemId) – assistant audio in the format given by outputFormat, itemId names
+ *   the conversation item it belongs to if the backend can truncate items (otherwise undefined)
+ * - 'interrupted' – the response in progress was cut off (caller barge-in or cancel), playback should stop
+ * - 'speechStopped' – the caller stopped talking, used for response latency
+ * - 'transcript' ({ role, text }) – a complete user or assistant turn
+ * - 'toolCalls' ([{ id, name, args }]) – tools requested by the model, answer with sendToolResults
+ * - 'toolCallsCancelled' ([id]) – pending tool calls the model no longer needs
+ * - 'turnComplete' – the assistant finished a response
+ * - 'error' (Error) – the provider cannot continue (reconnects exhausted or a fatal service error)
+ * - 'close' – the connection is gone for good
+ *
+ * Subclasses implement createSocket(), onOpen() and handleMessage(message), and may override
+ * the other methods. Settings come from the call config passed to the constructor. Caller audio
+ * arrives in the call's media format (options.mediaFormat) and reaches sendAudio() converted to
+ * inputFormat. When options.history holds earlier turns, onOpen() replays them instead of
+ * sending INITIAL_MESSAGE. After a dropped connection, onResume() restores the session, using
+ * options.getHistory() for the conversation so far.
+ */
+class RealtimeProvider extends EventEmitter {
+  /**
+   * @param {string} channelId - SIP channel ID of the call
+   * @param {Object} callConfig - Per-call configuration
+   * @param {Object} [options] - { history, getHistory, mediaFormat } transcript turns to seed the
+   *   session with, a function returning the turns so far, and the call's media format
+   */
+  constructor(channelId, callConfig, options = {}) {
+    super();
+    this.channelId = channelId;
+    this.config = callConfig;
+    this.history = options.history || [];
+    // Conversation so far, used to restore the session after a reconnect
+    this.getHistory = options.getHistory || (() => this.history);
+    this.mediaFormat = options.mediaFormat || MEDIA_FORMATS.ulaw;
+    this.inputConverter = null;
+    this.ws = null;
+    this.closed = false;
+    this.retryCount = 0;
+    this.retryTimer = null;
+    this.abortConnect = null;
+    this.messageQueue = [];
+    this.queueTimer = null;
+  }
+
+  /** Provider name, also the metrics label */
+  get name() {
+    return 'base';
+  }
+
+  /** Log prefix of messages received from the service */
+  get label() {
+    return `[${this.name}]`;
+  }
+
+  /** Model used for the call, reported in the post-call webhook */
+  get model() {
+    return this.config[`${this.name.toUpperCase()}_MODEL`] || null;
+  }
+
+  /** Format of the audio emitted with 'audio': { encoding: 'mulaw'|'alaw'|'pcm16', sampleRate } */
+  get outputFormat() {
+    return { encoding: 'mulaw', sampleRate: 8000 };
+  }
+
+  /** Format sendAudio() expects: { encoding: 'mulaw'|'alaw'|'pcm16', sampleRate } */
+  get inputFormat() {
+    return { encoding: 'mulaw', sampleRate: 8000 };
+  }
+
+  /** Connection state: connecting, open, closing or closed */
+  get state() {
+    return this.ws ? STATES[this.ws.readyState] : 'closed';
+  }
+
+  isOpen() {
+    return Boolean(this.ws) && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  log(msg, level = 'info') {
+    logger[level](`${this.label} ${msg}`);
+  }
+
+  /**
+   * Send a JSON message to the service
+   * @param {Object} message - Message to send
+   * @returns {boolean} - false when the connection is not open
+   */
+  send(message) {
+    if (!this.isOpen()) {
+      return false;
+    }
+    this.ws.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Text of a transcript turn for replaying it to the model
+   * @param {Object} turn - Transcript turn
+   * @returns {string}
+   */
+  describeTurn(turn) {
+    if (turn.source === 'dtmf') {
+      return `The caller entered on the keypad: ${turn.text}`;
+    }
+    return turn.role === 'system' ? `Instruction from the operator: ${turn.text}` : turn.text;
+  }
+
+  /**
+   * Open the connection, reconnecting up to 3 times when it fails or drops
+   * Resolves once the session is set up and the greeting has been requested. Reconnects later in
+   * the call resume the session with onResume(). If the attempts run out later in the call,
+   * 'error' is emitted instead.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    this.startQueue();
+    let connected = false;
+    let lastError = null;
+    return new Promise((resolve, reject) => {
+      // close() during setup or a reconnect delay: stop here instead of leaving the caller waiting
+      this.abortConnect = () => {
+        if (!connected) {
+          reject(new Error(`${this.name} session for ${this.channelId} was closed during setup`));
+        }
+        this.emit('close');
+      };
+      const attempt = () => {
+        this.retryTimer = null;
+        if (this.closed) {
+          this.abortConnect();
+          return;
+        }
+        const ws = this.createSocket();
+        this.ws = ws;
+
+        ws.on('open', async () => {
+          logClient(`${this.name} WebSocket connected for ${this.channelId}`);
+          metrics.wsConnects.inc({ provider: this.name });
+          try {
+            if (connected) {
+              await this.onResume();
+            } else {
+              await this.onOpen();
+            }
+            this.retryCount = 0;
+            if (!connected) {
+              connected = true;
+              resolve();
+            }
+          } catch (e) {
+            logger.error(`Error setting up ${this.name} session for ${this.channelId}: ${e.message}`);
+            if (connected) {
+              this.fail(e);
+            } else {
+              reject(e);
+            }
+          }
+        });
+
+        ws.on('message', (data) => {
+          try {
+            this.messageQueue.push(JSON.parse(data.toString()));
+          } catch (e) {
+            logger.error(`Error parsing ${this.name} message for ${this.channelId}: ${e.message}`);
+          }
+        });
+
+        ws.on('error', (e) => {
+          logger.error(`${this.name} WebSocket error for ${this.channelId}: ${e.message}`);
+          metrics.wsFailures.inc({ provider: this.name });
+          lastError = e;
+        });
+
+        // A failed connection attempt emits 'error' then 'close', so retries are driven from here
+        ws.on('close', () => {
+          logger.info(`${this.name} WebSocket closed for ${this.channelId}`);
+          if (ws !== this.ws) return;
+          if (this.closed) {
+            this.abortConnect();
+            return;
+          }
+          if (this.retryCount < MAX_RETRIES) {
+            this.retryCount++;
+            metrics.wsRetries.inc({ provider: this.name });
+            this.log(`Reconnecting for ${this.channelId} (attempt ${this.retryCount} of ${MAX_RETRIES})`, 'warn');
+            this.retryTimer = setTimeout(attempt, RETRY_DELAY_MS);
+            return;
+          }
+          const reason = lastError ? lastError.message : 'connection closed';
+          const error = new Error(`Failed ${this.name} WebSocket after ${MAX_RETRIES} attempts: ${reason}`);
+          if (connected) {
+            this.fail(error);
+          } else {
+            reject(error);
+          }
+          this.emit('close');
+        });
+      };
+      attempt();
+    });
+  }
+
+  /**
+   * Report that the provider cannot continue
+   * @param {Error} error - What went wrong
+   */
+  fail(error) {
+    if (this.closed) return;
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      logger.error(`${this.name} failed for ${this.channelId}: ${error.message}`);
+    }
+  }
+
+  // Messages are handled in order from a queue so async handlers never overlap: a tick that finds
+  // the previous one still awaiting a handler leaves the queue to it
+  startQueue() {
+    if (this.queueTimer) return;
+    let busy = false;
+    this.queueTimer = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      const maxMessages = 5;
+      for (let i = 0; i < maxMessages && this.messageQueue.length > 0; i++) {
+        try {
+          await this.handleMessage(this.messageQueue.shift());
+        } catch (e) {
+          logger.error(`Error processing ${this.name} message for ${this.channelId}: ${e.message}`);
+        }
+      }
+      busy = false;
+    }, 25);
+  }
+
+  /** Create the WebSocket to the service */
+  createSocket() {
+    throw new Error(`${this.name} provider does not implement createSocket()`);
+  }
+
+  /** Configure the session and request the greeting once the socket is open */
+  async onOpen() {}
+
+  /**
+   * Set up the session again after the connection dropped, without greeting the caller again
+   * Backends that cannot restore the conversation start a fresh session.
+   */
+  async onResume() {
+    await this.onOpen();
+  }
+
+  /** Handle one message from the service */
+  async handleMessage(message) {}
+
+  /**
+   * Send caller audio from Asterisk, converted from the call's media format to inputFormat
+   * @param {Buffer} audio - RTP payload in this.mediaFormat
+   */
+  sendCallerAudio(audio) {
+    if (!this.inputConverter) {
+      this.inputConverter = createConverter(this.mediaFormat, this.inputFormat);
+    }
+    this.sendAudio(this.inputConverter.convert(audio));
+  }
+
+  /**
+   * Send caller audio to the service
+   * @param {Buffer} audio - Audio in inputFormat
+   */
+  sendAudio(audio) {}
+
+  /** Caller audio pauses (the local VAD gate closed), backends may flush buffered input */
+  endAudioStream() {}
+
+  /** Cancel the response in progress, if any */
+  interrupt() {}
+
+  /**
+   * Playback of an assistant item was cut short, the model should only remember what was heard
+   * @param {string} itemId - Item ID given with its 'audio' events
+   * @param {number} audioEndMs - Audio of the item the caller heard
+   */
+  truncateAudio(itemId, audioEndMs) {}
+
+  /**
+   * Inject a text turn and ask for a reply
+   * @param {string} text - Text to send
+   * @param {Object} [options] - { instruction: true } for operator instructions
+   * @returns {boolean} - false when the session is not connected
+   */
+  sendText(text, options = {}) {
+    return false;
+  }
+
+  /**
+   * Return tool results to the model
+   * @param {Array<Object>} results - [{ id, name, output, followUp }]
+   */
+  sendToolResults(results) {}
+
+  /** Close the connection for good */
+  close() {
+    this.closed = true;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      this.abortConnect();
+    }
+    if (this.queueTimer) {
+      clearInterval(this.queueTimer);
+      this.queueTimer = null;
+    }
+    if (this.ws && this.ws.readyState !== WebSocket.CLOSED) {
+      logger.info(`Closing ${this.name} WebSocket for ${this.channelId}`);
+      this.ws.close();
+    }
+  }
+}
+
+module.exports = { RealtimeProvider, HANDOVER_INSTRUCTION };
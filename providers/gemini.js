@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { logger, logClient } = require('../config');
+const { getGeminiTools } = require('../tools');
+const { RealtimeProvider, HANDOVER_INSTRUCTION } = require('./base');
+
+// Debug: record the raw and converted caller audio of Gemini calls
+const RECORD_AUDIO = process.env.RECORD_AUDIO === 'true';
+const SETUP_TIMEOUT_MS = 5000;
+
+/**
+ * Gemini Live API backend, takes PCM 16kHz input and returns PCM 24kHz audio
+ */
+class GeminiProvider extends RealtimeProvider {
+  static get apiKeySetting() {
+    return 'GEMINI_API_KEY';
+  }
+
+  constructor(channelId, callConfig, options) {
+    super(channelId, callConfig, options);
+    this.setupComplete = false;
+    this.messageCount = 0;
+    this.totalDeltaBytes = 0;
+    // Transcriptions arrive in fragments and are emitted as complete turns
+    this.userTranscript = '';
+    this.assistantTranscript = '';
+    this.recordingStreams = RECORD_AUDIO ? this.openRecordingStreams() : null;
+    // Latest session resumption handle, used to restore the session after a reconnect
+    this.resumptionHandle = null;
+    // A model turn is streaming, and whether its audio is dropped because it was interrupted locally
+    this.turnActive = false;
+    this.discardTurn = false;
+  }
+
+  get name() {
+    return 'gemini';
+  }
+
+  get label() {
+    return '[Gemini]';
+  }
+
+  get outputFormat() {
+    return { encoding: 'pcm16', sampleRate: 24000 };
+  }
+
+  // slin16 calls are only byte-swapped, not resampled
+  get inputFormat() {
+    return { encoding: 'pcm16', sampleRate: 16000 };
+  }
+
+  createSocket() {
+    return new WebSocket(`${this.config.GEMINI_URL}?key=${this.config.GEMINI_API_KEY}`);
+  }
+
+  // Setup must be the first message of a session. Resolves true only when a resume with the
+  // resumption handle was confirmed by setupComplete.
+  async sendSetup() {
+    const callConfig = this.config;
+    const handle = this.resumptionHandle;
+    // Dropped here so a failed resume falls back to the transcript, the server sends a new handle once resumed
+    this.resumptionHandle = null;
+    this.setupComplete = false;
+    const slidingWindow = callConfig.GEMINI_COMPRESSION_TARGET_TOKENS
+      ? { targetTokens: callConfig.GEMINI_COMPRESSION_TARGET_TOKENS }
+      : {};
+    const setupMessage = {
+      setup: {
+        model: callConfig.GEMINI_MODEL,
+        generationConfig: {
+          responseModalities: 'audio',
+          speechConfig: {
+            voiceConfig: {
+              prebuiltVoiceConfig: {
+                voiceName: callConfig.GEMINI_VOICE
+              }
+            }
+          }
+        },
+        systemInstruction: {
+          parts: [{ text: callConfig.SYSTEM_PROMPT }]
+        },
+        inputAudioTranscription: {},
+        outputAudioTranscription: {},
+        tools: getGeminiTools(),
+        sessionResumption: handle ? { handle } : {},
+        contextWindowCompression: callConfig.GEMINI_COMPRESSION_TRIGGER_TOKENS
+          ? { triggerTokens: callConfig.GEMINI_COMPRESSION_TRIGGER_TOKENS, slidingWindow }
+          : { slidingWindow }
+      }
+    };
+    logger.info(`[Gemini] Setup message: ${JSON.stringify(setupMessage)}`);
+    this.send(setupMessage);
+    logClient(`Setup message sent for ${this.channelId} (model: ${callConfig.GEMINI_MODEL}, voice: ${callConfig.GEMINI_VOICE}${handle ? ', resuming' : ''})`);
+
+    await new Promise((resolve) => {
+      const startTime = Date.now();
+      const checkSetup = setInterval(() => {
+        // A rejected resumption handle closes the connection
+        if (this.setupComplete || !this.isOpen() || Date.now() - startTime >= SETUP_TIMEOUT_MS) {
+          clearInterval(checkSetup);
+          if (!this.setupComplete) {
+            logger.warn(`Setup not completed within timeout for ${this.channelId}, proceeding anyway${handle ? ' without the resumed session' : ''}`);
+          }
+          resolve();
+        }
+      }, 50);
+    });
+    return Boolean(handle) && this.setupComplete;
+  }
+
+  toTurns(history) {
+    return history.map(turn => ({
+      role: turn.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: turn.role === 'assistant' ? turn.text : this.describeTurn(turn) }]
+    }));
+  }
+
+  async onOpen() {
+    await this.sendSetup();
+
+    if (this.history.length > 0) {
+      // Replay the conversation so far, then ask the model to carry on
+      const turns = this.toTurns(this.history);
+      turns.push({ role: 'user', parts: [{ text: HANDOVER_INSTRUCTION }] });
+      this.send({ clientContent: { turns, turnComplete: true } });
+      logClient(`Replayed ${this.history.length} transcript turns for ${this.channelId}`);
+      return;
+    }
+
+    this.sendInitialMessage();
+  }
+
+  // The initial text message triggers the greeting
+  sendInitialMessage() {
+    this.send({
+      clientContent: {
+        turns: [{ role: 'user', parts: [{ text: this.config.INITIAL_MESSAGE }] }],
+        turnComplete: true
+      }
+    });
+    logClient(`Initial message sent for ${this.channelId}: "${this.config.INITIAL_MESSAGE}"`);
+  }
+
+  // With a resumption handle the server restores the session. Without one (the connection dropped
+  // before the server sent a handle), the context is rebuilt from the call transcript.
+  async onResume() {
+    this.flushTranscripts();
+    if (await this.sendSetup()) {
+      logClient(`Session resumed for ${this.channelId} with resumption handle`);
+      return;
+    }
+    const history = this.getHistory();
+    if (history.length === 0) {
+      this.sendInitialMessage();
+      return;
+    }
+    // Only ask for a reply if the connection dropped before the assistant answered
+    const turnComplete = history[history.length - 1].role !== 'assistant';
+    this.send({ clientContent: { turns: this.toTurns(history), turnComplete } });
+    logClient(`Session resumed for ${this.channelId} with ${history.length} transcript turns`);
+  }
+
+  flushUserTranscript() {
+    if (this.userTranscript) {
+      this.emit('transcript', { role: 'user', text: this.userTranscript });
+      this.userTranscript = '';
+    }
+  }
+
+  flushTranscripts() {
+    this.flushUserTranscript();
+    if (this.assistantTranscript) {
+      this.emit('transcript', { role: 'assistant', text: this.assistantTranscript });
+      this.assistantTranscript = '';
+    }
+  }
+
+  async handleMessage(response) {
+    const channelId = this.channelId;
+    this.messageCount++;
+    if (this.messageCount <= 5) {
+      logger.info(`[Gemini] Message #${this.messageCount} FULL for ${channelId}: ${JSON.stringify(response)}`);
+    } else {
+      logger.debug(`[Gemini] Message #${this.messageCount} keys for ${channelId}: ${Object.keys(response).join(', ')}`);
+    }
+
+    if (response.setupComplete) {
+      this.log(`Setup completed for ${channelId}`);
+      this.setupComplete = true;
+    }
+
+    // Transcriptions are part of serverContent (top level on older API versions)
+    const inputTranscription = response.serverContent?.inputTranscription || response.inputTranscription;
+    const outputTranscription = response.serverContent?.outputTranscription || response.outputTranscription;
+
+    if (inputTranscription && inputTranscription.text) {
+      this.log(`User transcription: ${inputTranscription.text} for ${channelId}`);
+      this.userTranscript += inputTranscription.text;
+      // Gemini has no end-of-speech event, the last input transcription stands in
+      this.emit('speechStopped');
+    }
+
+    if (outputTranscription && outputTranscription.text) {
+      this.log(`Assistant transcription: ${outputTranscription.text} for ${channelId}`);
+      this.flushUserTranscript();
+      this.assistantTranscript += outputTranscription.text;
+    }
+
+    if (response.serverContent) {
+      const { modelTurn, interrupted, turnComplete } = response.serverContent;
+
+      if (interrupted) {
+        this.log(`Response interrupted for ${channelId}, stopping playback`);
+        this.turnActive = false;
+        this.discardTurn = false;
+        this.emit('interrupted');
+        this.flushTranscripts();
+      }
+
+      for (const part of (modelTurn && modelTurn.parts) || []) {
+        if (part.inlineData && part.inlineData.mimeType && part.inlineData.mimeType.startsWith('audio/pcm')) {
+          this.turnActive = true;
+          if (this.discardTurn) continue;
+          const pcm24kBuffer = Buffer.from(part.inlineData.data, 'base64');
+          this.totalDeltaBytes += pcm24kBuffer.length;
+          logger.debug(`[Gemini] Received PCM audio: ${pcm24kBuffer.length} bytes at 24kHz for ${channelId}, total: ${this.totalDeltaBytes} bytes`);
+          this.emit('audio', pcm24kBuffer);
+        }
+        if (part.text) {
+          this.log(`Assistant text: ${part.text} for ${channelId}`);
+        }
+      }
+
+      if (turnComplete) {
+        this.turnActive = false;
+        this.discardTurn = false;
+        this.log(`Turn completed for ${channelId}, total audio: ${this.totalDeltaBytes} bytes`);
+        this.totalDeltaBytes = 0;
+        this.flushTranscripts();
+        this.emit('turnComplete');
+      }
+    }
+
+    if (response.toolCall && response.toolCall.functionCalls) {
+      for (const { name, args } of response.toolCall.functionCalls) {
+        this.log(`Tool call requested for ${channelId}: ${name}(${JSON.stringify(args || {})})`);
+      }
+      this.emit('toolCalls', response.toolCall.functionCalls.map(({ id, name, args }) => ({ id, name, args })));
+    }
+
+    if (response.sessionResumptionUpdate) {
+      const { newHandle, resumable } = response.sessionResumptionUpdate;
+      if (resumable && newHandle) {
+        this.resumptionHandle = newHandle;
+        logger.debug(`[Gemini] New session resumption handle for ${channelId}`);
+      }
+    }
+
+    // The server is about to close the connection, the session is resumed on reconnect
+    if (response.goAway) {
+      this.log(`Server closing the session for ${channelId} in ${response.goAway.timeLeft}`, 'warn');
+    }
+
+    // Tool calls cancelled because the caller interrupted
+    if (response.toolCallCancellation) {
+      this.emit('toolCallsCancelled', response.toolCallCancellation.ids || []);
+    }
+
+    const knownTypes = ['setupComplete', 'serverContent', 'toolCall', 'toolCallCancellation', 'inputTranscription', 'outputTranscription', 'sessionResumptionUpdate', 'goAway'];
+    const unknownTypes = Object.keys(response).filter(t => !knownTypes.includes(t));
+    if (unknownTypes.length > 0) {
+      logger.debug(`[Gemini] Unknown message types for ${channelId}: ${unknownTypes.join(', ')}`);
+    }
+  }
+
+  sendCallerAudio(audio) {
+    if (this.recordingStreams) {
+      this.recordingStreams.rawStream.write(audio);
+    }
+    super.sendCallerAudio(audio);
+  }
+
+  sendAudio(pcm16k) {
+    if (!this.isOpen()) return;
+    if (this.recordingStreams) {
+      this.recordingStreams.pcmStream.write(pcm16k);
+    }
+    this.send({
+      realtimeInput: {
+        mediaChunks: [{
+          mimeType: 'audio/pcm;rate=16000',
+          data: pcm16k.toString('base64')
+        }]
+      }
+    });
+  }
+
+  // Lets Gemini's activity detection end the caller's turn without waiting for more audio
+  endAudioStream() {
+    if (!this.isOpen()) return;
+    this.send({ realtimeInput: { audioStreamEnd: true } });
+  }
+
+  // Gemini has no client-side cancel. Ending the audio stream makes its activity detection act on the
+  // caller audio so far, which interrupts the model turn; until the server confirms with interrupted
+  // or turnComplete, the rest of the turn is dropped here.
+  interrupt() {
+    if (!this.turnActive || this.discardTurn) return;
+    this.discardTurn = true;
+    this.endAudioStream();
+    this.log(`Interrupting the model turn for ${this.channelId}, dropping its remaining audio`);
+    this.emit('interrupted');
+  }
+
+  // Gemini has no system role mid-session, so instructions are sent as a labelled user turn
+  sendText(text, { instruction = false } = {}) {
+    if (!this.isOpen()) {
+      logger.warn(`Cannot send text for ${this.channelId}: Gemini WebSocket not open`);
+      return false;
+    }
+    this.send({
+      clientContent: {
+        turns: [{ role: 'user', parts: [{ text: instruction ? `Instruction from the operator: ${text}` : text }] }],
+        turnComplete: true
+      }
+    });
+    logClient(`Text message sent for ${this.channelId}: ${text}`);
+    return true;
+  }
+
+  sendToolResults(results) {
+    const functionResponses = results.map(({ id, name, output }) => ({ id, name, response: output }));
+    if (functionResponses.length === 0) return;
+    this.send({ toolResponse: { functionResponses } });
+    logClient(`Tool response sent for ${this.channelId}: ${functionResponses.map(r => r.name).join(', ')}`);
+  }
+
+  openRecordingStreams() {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const recordingDir = path.join(__dirname, '..', 'recordings');
+    fs.mkdirSync(recordingDir, { recursive: true });
+    const format = this.mediaFormat;
+    const rawFile = path.join(recordingDir, `${this.channelId}_${timestamp}_${format.name === 'ulaw' ? 'mulaw' : format.name}.raw`);
+    const pcmFile = path.join(recordingDir, `${this.channelId}_${timestamp}_pcm16k.raw`);
+    logger.info(`[Recording] Started recording for ${this.channelId}:`);
+    logger.info(`[Recording]   ${format.name}: ${rawFile}`);
+    logger.info(`[Recording]   PCM16k: ${pcmFile}`);
+    return { rawStream: fs.createWriteStream(rawFile), pcmStream: fs.createWriteStream(pcmFile), rawFile, pcmFile };
+  }
+
+  close() {
+    super.close();
+    if (this.recordingStreams) {
+      const streams = this.recordingStreams;
+      this.recordingStreams = null;
+      streams.rawStream.end();
+      streams.pcmStream.end();
+      const { encoding, sampleRate } = this.mediaFormat;
+      const ffmpegFormat = { mulaw: 'mulaw', alaw: 'alaw', slin: 's16be' }[encoding];
+      logger.info(`[Recording] Stopped recording for ${this.channelId}`);
+      logger.info(`[Recording] To play the call audio: ffplay -f ${ffmpegFormat} -ar ${sampleRate} -ac 1 ${streams.rawFile}`);
+      logger.info(`[Recording] To play PCM: ffplay -f s16le -ar 16000 -ac 1 ${streams.pcmFile}`);
+    }
+  }
+}
+
+module.exports = GeminiProvider;
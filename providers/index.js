@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../config');
+
+// Files in providers/ that are not backends
+const RESERVED = ['base', 'index'];
+
+/**
+ * Look up a realtime backend by name, e.g. 'openai' loads providers/openai.js
+ * @param {string} name - Provider name (AI_PROVIDER)
+ * @returns {Function|null} - Provider class, null if there is no such backend
+ */
+function getProviderClass(name) {
+  if (!/^[\w-]+$/.test(name || '') || RESERVED.includes(name)) {
+    return null;
+  }
+  const file = path.join(__dirname, `${name}.js`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return require(file);
+}
+
+/**
+ * Create the backend session of a call
+ * @param {string} channelId - SIP channel ID
+ * @param {Object} callConfig - Per-call configuration, AI_PROVIDER picks the backend
+ * @param {Object} [options] - Provider options, e.g. { history } to seed the session
+ * @returns {RealtimeProvider}
+ */
+function createProvider(channelId, callConfig, options = {}) {
+  const Provider = getProviderClass(callConfig.AI_PROVIDER);
+  if (!Provider) {
+    throw new Error(`Unknown AI_PROVIDER "${callConfig.AI_PROVIDER}"`);
+  }
+  const apiKey = Provider.apiKeySetting ? callConfig[Provider.apiKeySetting] : true;
+  if (!apiKey) {
+    logger.error(`${Provider.apiKeySetting} is missing in config`);
+    throw new Error(`Missing ${Provider.apiKeySetting}`);
+  }
+  return new Provider(channelId, callConfig, options);
+}
+
+module.exports = { getProviderClass, createProvider };
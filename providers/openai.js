@@ -0,0 +1,310 @@
+const WebSocket = require('ws');
+const { v4: uuid } = require('uuid');
+const { logger, logClient } = require('../config');
+const { audioDurationMs } = require('../audio-converter');
+const { getOpenAITools } = require('../tools');
+const { RealtimeProvider, HANDOVER_INSTRUCTION } = require('./base');
+
+// Realtime API names of the audio formats
+const AUDIO_FORMAT_NAMES = { mulaw: 'g711_ulaw', alaw: 'g711_alaw', pcm16: 'pcm16' };
+
+/**
+ * OpenAI Realtime API backend, exchanges G.711 audio in the call's law, or 24kHz PCM for
+ * wideband calls, in both directions
+ */
+class OpenAIProvider extends RealtimeProvider {
+  static get apiKeySetting() {
+    return 'OPENAI_API_KEY';
+  }
+
+  constructor(channelId, callConfig, options) {
+    super(channelId, callConfig, options);
+    this.isResponseActive = false;
+    this.totalDeltaBytes = 0;
+    this.truncatedItems = new Set(); // audio still streamed for these items is dropped
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  get label() {
+    return '[OpenAI]';
+  }
+
+  get model() {
+    return this.config.REALTIME_MODEL;
+  }
+
+  // G.711 calls pass through unchanged, slin calls are resampled to and from 24kHz PCM
+  get audioFormat() {
+    const { encoding } = this.mediaFormat;
+    return encoding === 'mulaw' || encoding === 'alaw' ? { encoding, sampleRate: 8000 } : { encoding: 'pcm16', sampleRate: 24000 };
+  }
+
+  get inputFormat() {
+    return this.audioFormat;
+  }
+
+  get outputFormat() {
+    return this.audioFormat;
+  }
+
+  createSocket() {
+    return new WebSocket(this.config.REALTIME_URL, {
+      headers: {
+        'Authorization': `Bearer ${this.config.OPENAI_API_KEY}`,
+        'OpenAI-Beta': 'realtime=v1'
+      }
+    });
+  }
+
+  sendSessionUpdate() {
+    const callConfig = this.config;
+    const tools = getOpenAITools();
+    const audioFormat = AUDIO_FORMAT_NAMES[this.audioFormat.encoding];
+    this.send({
+      type: 'session.update',
+      session: {
+        modalities: ['audio', 'text'],
+        voice: callConfig.OPENAI_VOICE || 'alloy',
+        instructions: callConfig.SYSTEM_PROMPT,
+        input_audio_format: audioFormat,
+        output_audio_format: audioFormat,
+        input_audio_transcription: {
+          model: 'whisper-1',
+          language: 'en'
+        },
+        turn_detection: {
+          type: 'server_vad',
+          threshold: callConfig.VAD_THRESHOLD || 0.6,
+          prefix_padding_ms: callConfig.VAD_PREFIX_PADDING_MS || 200,
+          silence_duration_ms: callConfig.VAD_SILENCE_DURATION_MS || 600
+        },
+        tools,
+        tool_choice: tools.length > 0 ? 'auto' : 'none'
+      }
+    });
+    logClient(`Session updated for ${this.channelId} with ${tools.length} tools`);
+  }
+
+  async onOpen() {
+    const callConfig = this.config;
+    this.sendSessionUpdate();
+
+    if (this.history.length > 0) {
+      this.replayHistory();
+      return;
+    }
+
+    const itemId = uuid().replace(/-/g, '').substring(0, 32);
+    logClient(`Sending initial message for ${this.channelId}: ${callConfig.INITIAL_MESSAGE || 'Hi'}`);
+    this.send({
+      type: 'conversation.item.create',
+      item: {
+        id: itemId,
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text: callConfig.INITIAL_MESSAGE || 'Hi' }]
+      }
+    });
+    this.send({
+      type: 'response.create',
+      response: {
+        modalities: ['audio', 'text'],
+        instructions: callConfig.SYSTEM_PROMPT,
+        output_audio_format: AUDIO_FORMAT_NAMES[this.audioFormat.encoding]
+      }
+    });
+    logClient(`Requested response for ${this.channelId}`);
+    this.isResponseActive = true;
+  }
+
+  // A Realtime session cannot be reattached, so the new one is given the call transcript
+  async onResume() {
+    this.isResponseActive = false;
+    this.sendSessionUpdate();
+    const turns = this.getHistory();
+    this.sendItems(turns);
+    // Answer the caller if the connection dropped before the assistant replied
+    if (turns.length > 0 && turns[turns.length - 1].role !== 'assistant') {
+      this.send({ type: 'response.create' });
+      this.isResponseActive = true;
+    }
+    logClient(`Session resumed for ${this.channelId} with ${turns.length} transcript turns`);
+  }
+
+  // Recreate transcript turns as conversation items
+  sendItems(turns) {
+    for (const turn of turns) {
+      const assistant = turn.role === 'assistant';
+      this.send({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: assistant ? 'assistant' : (turn.role === 'system' ? 'system' : 'user'),
+          content: [{ type: assistant ? 'text' : 'input_text', text: assistant ? turn.text : this.describeTurn(turn) }]
+        }
+      });
+    }
+  }
+
+  // Recreate the conversation so far as items, then ask the model to carry on
+  replayHistory() {
+    this.sendItems(this.history);
+    this.send({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'system', content: [{ type: 'input_text', text: HANDOVER_INSTRUCTION }] }
+    });
+    this.send({ type: 'response.create' });
+    this.isResponseActive = true;
+    logClient(`Replayed ${this.history.length} transcript turns for ${this.channelId}`);
+  }
+
+  async handleMessage(response) {
+    const channelId = this.channelId;
+    logger.debug(`Raw WebSocket message for ${channelId}: ${JSON.stringify(response, null, 2)}`);
+    switch (response.type) {
+      case 'session.created':
+        logClient(`Session created for ${channelId}`);
+        break;
+      case 'session.updated':
+        this.log(`Session updated for ${channelId}`);
+        break;
+      case 'conversation.item.created':
+        this.log(`Conversation item created for ${channelId}`);
+        if (response.item && response.item.id && response.item.role === 'user') {
+          this.log(`User voice command detected for ${channelId}, stopping current playback`);
+          this.emit('interrupted');
+        }
+        break;
+      // Server VAD heard the caller: cut the reply off now rather than once their turn is committed
+      case 'input_audio_buffer.speech_started':
+        this.log(`Caller speech started for ${channelId}, stopping current playback`);
+        this.cancelResponse();
+        this.emit('interrupted');
+        break;
+      case 'conversation.item.truncated':
+        this.log(`Assistant item ${response.item_id} truncated at ${response.audio_end_ms}ms for ${channelId}`);
+        break;
+      case 'response.created':
+        this.log(`Response created for ${channelId}`);
+        this.isResponseActive = true;
+        break;
+      case 'response.done':
+        this.isResponseActive = false;
+        this.emit('turnComplete');
+        break;
+      case 'input_audio_buffer.speech_stopped':
+        this.emit('speechStopped');
+        break;
+      case 'response.audio.delta':
+        if (response.delta && !this.truncatedItems.has(response.item_id)) {
+          const deltaBuffer = Buffer.from(response.delta, 'base64');
+          this.totalDeltaBytes += deltaBuffer.length;
+          this.emit('audio', deltaBuffer, response.item_id);
+        }
+        break;
+      case 'response.audio.done':
+        this.log(`Response audio done for ${channelId}, total delta bytes: ${this.totalDeltaBytes}, estimated duration: ${(audioDurationMs(this.outputFormat, this.totalDeltaBytes) / 1000).toFixed(2)}s`);
+        this.totalDeltaBytes = 0;
+        break;
+      case 'response.audio_transcript.delta':
+      case 'conversation.item.input_audio_transcription.delta':
+        if (response.delta) {
+          logger.debug(`Transcript delta for ${channelId}: ${response.delta.trim()}`);
+        }
+        break;
+      case 'response.audio_transcript.done':
+        if (response.transcript) {
+          this.log(`Assistant transcription for ${channelId}: ${response.transcript}`);
+          this.emit('transcript', { role: 'assistant', text: response.transcript });
+        }
+        break;
+      case 'conversation.item.input_audio_transcription.completed':
+        if (response.transcript) {
+          this.log(`User command transcription for ${channelId}: ${response.transcript}`);
+          this.emit('transcript', { role: 'user', text: response.transcript });
+        }
+        break;
+      case 'response.function_call_arguments.done':
+        this.log(`Function call requested for ${channelId}: ${response.name}(${response.arguments})`);
+        this.emit('toolCalls', [{ id: response.call_id, name: response.name, args: response.arguments }]);
+        break;
+      case 'error':
+        logger.error(`OpenAI error for ${channelId}: ${response.error.message}`);
+        // Rejected client events (e.g. cancelling a finished response) leave the session usable
+        if (response.error.type !== 'invalid_request_error') {
+          this.fail(new Error(`OpenAI error: ${response.error.message}`));
+        }
+        break;
+      default:
+        logger.debug(`Unhandled event type: ${response.type} for ${channelId}`);
+        break;
+    }
+  }
+
+  sendAudio(audio) {
+    this.send({ type: 'input_audio_buffer.append', audio: audio.toString('base64') });
+  }
+
+  interrupt() {
+    if (!this.isResponseActive) return;
+    this.cancelResponse();
+    this.emit('interrupted');
+  }
+
+  cancelResponse() {
+    if (!this.isResponseActive) return;
+    this.send({ type: 'response.cancel' });
+    this.isResponseActive = false;
+  }
+
+  // Drop the unheard rest of an assistant item from the conversation, so the model does not refer to it later
+  truncateAudio(itemId, audioEndMs) {
+    if (!itemId || !this.isOpen()) return;
+    this.truncatedItems.add(itemId);
+    this.send({ type: 'conversation.item.truncate', item_id: itemId, content_index: 0, audio_end_ms: Math.round(audioEndMs) });
+    this.log(`Truncating assistant item ${itemId} at ${Math.round(audioEndMs)}ms for ${this.channelId}`);
+  }
+
+  // DTMF input is sent as a user message, operator instructions as a system message
+  sendText(text, { instruction = false } = {}) {
+    if (!this.isOpen()) {
+      logger.warn(`Cannot send text for ${this.channelId}: WebSocket not open`);
+      return false;
+    }
+    this.interrupt();
+    this.send({
+      type: 'conversation.item.create',
+      item: {
+        type: 'message',
+        role: instruction ? 'system' : 'user',
+        content: [{ type: 'input_text', text }]
+      }
+    });
+    this.send({ type: 'response.create' });
+    this.isResponseActive = true;
+    logClient(`Text message sent for ${this.channelId}: ${text}`);
+    return true;
+  }
+
+  sendToolResults(results) {
+    for (const { id, name, output } of results) {
+      this.send({
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: id,
+          output: JSON.stringify(output)
+        }
+      });
+      logClient(`Function call output sent for ${this.channelId}: ${name}`);
+    }
+    if (results.some(result => result.followUp)) {
+      this.send({ type: 'response.create' });
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
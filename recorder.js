@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+
+logger.info('Loading recorder.js module');
+
+// Gaps shorter than this are treated as network jitter and the audio is appended back to back
+const MAX_DRIFT_MS = 60;
+
+// Stereo 16-bit frames
+const FRAME_BYTES = 4;
+
+// Size fields of the header until the file is closed: as large as possible, so a recording
+// left behind by a crash still plays up to where it stops
+const UNKNOWN_DATA_LENGTH = 0xFFFFFFFF - 36;
+
+// Active recordings by channel ID: { file, stream, startTime, sampleRate, tracks: [caller, assistant],
+// pending, writtenFrames }. Frames from writtenFrames on are mixed in pending until no track can
+// still add audio to them, then appended to the file.
+const recordings = new Map();
+
+/**
+ * Start a stereo call recording (caller left, assistant right), written to disk as the call goes
+ * @param {string} channelId - SIP channel ID
+ * @param {number} [sampleRate=8000] - Sample rate of the call's media format
+ */
+function startRecording(channelId, sampleRate = 8000) {
+  if (!config.CALL_RECORDING_ENABLED || recordings.has(channelId)) return;
+  const dir = path.resolve(__dirname, config.RECORDING_DIR);
+  const file = path.join(dir, `${channelId}.wav`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (e) {
+    logger.error(`Failed to start call recording for ${channelId}: ${e.message}`);
+    return;
+  }
+  const stream = fs.createWriteStream(file);
+  const recording = {
+    file,
+    stream,
+    failed: false,
+    startTime: Date.now(),
+    sampleRate,
+    tracks: [{ cursor: 0 }, { cursor: 0 }],
+    pending: Buffer.alloc(sampleRate * FRAME_BYTES), // one second, grown as needed
+    writtenFrames: 0
+  };
+  stream.on('error', (e) => {
+    recording.failed = true;
+    logger.error(`Failed to write call recording for ${channelId}: ${e.message}`);
+  });
+  stream.write(buildWavHeader(UNKNOWN_DATA_LENGTH, 2, sampleRate));
+  recordings.set(channelId, recording);
+  logger.info(`Call recording started for ${channelId}: ${file}`);
+}
+
+/**
+ * Check whether a call is being recorded
+ * @param {string} channelId - SIP channel ID
+ * @returns {boolean}
+ */
+function isRecording(channelId) {
+  return recordings.has(channelId);
+}
+
+function addAudio(channelId, trackIndex, pcm16) {
+  const recording = recordings.get(channelId);
+  if (!recording || pcm16.length === 0) return;
+  const track = recording.tracks[trackIndex];
+  // Place audio at its wall-clock position so both sides stay aligned across silences
+  const samplesPerMs = recording.sampleRate / 1000;
+  const maxDrift = MAX_DRIFT_MS * samplesPerMs;
+  const expected = Math.round((Date.now() - recording.startTime) * samplesPerMs);
+  if (expected - track.cursor > maxDrift) {
+    track.cursor = expected;
+  }
+  const samples = pcm16.length / 2;
+  // Audio too late for frames already on disk is dropped
+  const skip = Math.max(0, recording.writtenFrames - track.cursor);
+  if (skip < samples) {
+    reservePending(recording, track.cursor + samples - recording.writtenFrames);
+    const start = track.cursor + skip - recording.writtenFrames;
+    for (let i = skip; i < samples; i++) {
+      recording.pending.writeInt16LE(pcm16.readInt16LE(i * 2), (start + i - skip) * FRAME_BYTES + trackIndex * 2);
+    }
+  }
+  track.cursor += samples;
+  // A track adds its next audio at its cursor, or jumps to the wall clock when it fell behind
+  const settled = Math.min(...recording.tracks.map(t => Math.min(t.cursor, expected - maxDrift)));
+  writeFrames(recording, settled);
+}
+
+// Make room for frames past writtenFrames in the mixing buffer, which starts out silent
+function reservePending(recording, frames) {
+  const needed = frames * FRAME_BYTES;
+  if (needed <= recording.pending.length) return;
+  const grown = Buffer.alloc(Math.max(needed, recording.pending.length * 2));
+  recording.pending.copy(grown);
+  recording.pending = grown;
+}
+
+// Append mixed frames up to (not including) frame `until` to the file
+function writeFrames(recording, until) {
+  const frames = Math.floor(until) - recording.writtenFrames;
+  if (frames <= 0) return;
+  reservePending(recording, frames);
+  const bytes = frames * FRAME_BYTES;
+  if (!recording.failed) {
+    recording.stream.write(Buffer.from(recording.pending.subarray(0, bytes)));
+  }
+  recording.pending.copy(recording.pending, 0, bytes);
+  recording.pending.fill(0, recording.pending.length - bytes);
+  recording.writtenFrames += frames;
+}
+
+/**
+ * Add caller audio (16-bit PCM at the recording's rate) to the left channel
+ * @param {string} channelId - SIP channel ID
+ * @param {Buffer} pcm16 - Audio received from Asterisk
+ */
+function recordCaller(channelId, pcm16) {
+  addAudio(channelId, 0, pcm16);
+}
+
+/**
+ * Add assistant audio (16-bit PCM at the recording's rate) to the right channel, as it is sent over RTP
+ * @param {string} channelId - SIP channel ID
+ * @param {Buffer} pcm16 - Audio sent to Asterisk
+ */
+function recordAssistant(channelId, pcm16) {
+  addAudio(channelId, 1, pcm16);
+}
+
+function buildWavHeader(dataLength, channels, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28); // byte rate
+  header.writeUInt16LE(channels * 2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+  return header;
+}
+
+/**
+ * Stop a call recording: write the remaining audio and the final sizes into the WAV header
+ * @param {string} channelId - SIP channel ID
+ * @returns {Promise<string|null>} - Path of the WAV file, null if the call was not recorded
+ */
+async function stopRecording(channelId) {
+  const recording = recordings.get(channelId);
+  if (!recording) return null;
+  recordings.delete(channelId);
+
+  writeFrames(recording, Math.max(...recording.tracks.map(t => t.cursor)));
+  await new Promise(resolve => recording.stream.end(resolve));
+  if (recording.failed) {
+    return null;
+  }
+  const { file } = recording;
+  const dataLength = recording.writtenFrames * FRAME_BYTES;
+  let handle = null;
+  try {
+    handle = await fs.promises.open(file, 'r+');
+    const header = buildWavHeader(dataLength, 2, recording.sampleRate);
+    await handle.write(header, 4, 4, 4); // RIFF chunk size
+    await handle.write(header, 40, 4, 40); // data chunk size
+    logger.info(`Call recording saved for ${channelId}: ${file} (${(recording.writtenFrames / recording.sampleRate).toFixed(1)}s)`);
+    return file;
+  } catch (e) {
+    logger.error(`Failed to finish call recording for ${channelId}: ${e.message}`);
+    return null;
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = { startRecording, isRecording, recordCaller, recordAssistant, stopRecording };
@@ -0,0 +1,282 @@
+const dgram = require('dgram');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { metrics } = require('./metrics');
+
+logger.info('Loading rtcp.js module');
+
+const RTCP_SR = 200;
+const RTCP_RR = 201;
+const RTCP_SDES = 202;
+const SDES_CNAME = 1;
+// Seconds from the NTP epoch (1900) to the Unix epoch
+const NTP_OFFSET = 2208988800;
+
+/**
+ * @param {number} [ms] - Unix time in milliseconds (default: now)
+ * @returns {{ msw: number, lsw: number }} - 64-bit NTP timestamp
+ */
+function ntpTime(ms = Date.now()) {
+  const seconds = Math.floor(ms / 1000);
+  return { msw: (seconds + NTP_OFFSET) >>> 0, lsw: Math.floor((ms % 1000) / 1000 * 0x100000000) >>> 0 };
+}
+
+// Middle 32 bits of an NTP timestamp, the unit of LSR and DLSR (1/65536 s)
+function ntpMiddle({ msw, lsw }) {
+  return (((msw & 0xFFFF) << 16) | (lsw >>> 16)) >>> 0;
+}
+
+function rtcpHeader(packetType, count, length) {
+  const header = Buffer.alloc(4);
+  header[0] = 0x80 | count;
+  header[1] = packetType;
+  header.writeUInt16BE(length / 4 - 1, 2);
+  return header;
+}
+
+function buildReportBlock(block) {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(block.ssrc >>> 0, 0);
+  buffer[4] = block.fractionLost;
+  buffer.writeIntBE(Math.max(-0x800000, Math.min(0x7FFFFF, block.cumulativeLost)), 5, 3);
+  buffer.writeUInt32BE(block.highestSeq >>> 0, 8);
+  buffer.writeUInt32BE(Math.round(block.jitter) >>> 0, 12);
+  buffer.writeUInt32BE(block.lsr >>> 0, 16);
+  buffer.writeUInt32BE(block.dlsr >>> 0, 20);
+  return buffer;
+}
+
+/**
+ * Build a compound RTCP packet: a sender report if sender is given, a receiver report otherwise,
+ * followed by an SDES chunk with the CNAME
+ * @param {Object} options
+ * @param {number} options.ssrc - Our SSRC
+ * @param {string} options.cname - Canonical name for SDES
+ * @param {Object} [options.sender] - { ntp, rtpTimestamp, packets, octets } of our outbound stream
+ * @param {Array<Object>} [options.blocks] - Report blocks: { ssrc, fractionLost, cumulativeLost, highestSeq, jitter, lsr, dlsr }
+ * @returns {Buffer}
+ */
+function buildRtcpReport({ ssrc, cname, sender = null, blocks = [] }) {
+  const parts = [];
+  if (sender) {
+    const info = Buffer.alloc(24);
+    info.writeUInt32BE(ssrc >>> 0, 0);
+    info.writeUInt32BE(sender.ntp.msw, 4);
+    info.writeUInt32BE(sender.ntp.lsw, 8);
+    info.writeUInt32BE(sender.rtpTimestamp >>> 0, 12);
+    info.writeUInt32BE(sender.packets >>> 0, 16);
+    info.writeUInt32BE(sender.octets >>> 0, 20);
+    parts.push(rtcpHeader(RTCP_SR, blocks.length, 28 + blocks.length * 24), info);
+  } else {
+    const info = Buffer.alloc(4);
+    info.writeUInt32BE(ssrc >>> 0, 0);
+    parts.push(rtcpHeader(RTCP_RR, blocks.length, 8 + blocks.length * 24), info);
+  }
+  parts.push(...blocks.map(buildReportBlock));
+
+  // SDES chunk: SSRC, CNAME item, null terminator, padded to 32 bits
+  const name = Buffer.from(cname, 'utf8').subarray(0, 255);
+  const chunkLength = Math.ceil((4 + 2 + name.length + 1) / 4) * 4;
+  const chunk = Buffer.alloc(chunkLength);
+  chunk.writeUInt32BE(ssrc >>> 0, 0);
+  chunk[4] = SDES_CNAME;
+  chunk[5] = name.length;
+  name.copy(chunk, 6);
+  parts.push(rtcpHeader(RTCP_SDES, 1, 4 + chunkLength), chunk);
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse the sender and receiver reports of a compound RTCP packet, other packet types are skipped
+ * @param {Buffer} msg - UDP payload
+ * @returns {Array<Object>|null} - { type: 'sr'|'rr', ssrc, sender, blocks }, null if malformed
+ */
+function parseRtcpPacket(msg) {
+  const reports = [];
+  let offset = 0;
+  while (offset + 4 <= msg.length) {
+    if (msg[offset] >> 6 !== 2) {
+      return null;
+    }
+    const count = msg[offset] & 0x1F;
+    const packetType = msg[offset + 1];
+    const length = (msg.readUInt16BE(offset + 2) + 1) * 4;
+    if (offset + length > msg.length) {
+      return null;
+    }
+    if (packetType === RTCP_SR || packetType === RTCP_RR) {
+      const isSender = packetType === RTCP_SR;
+      let cursor = offset + 8 + (isSender ? 20 : 0);
+      if (cursor + count * 24 > offset + length) {
+        return null;
+      }
+      const report = { type: isSender ? 'sr' : 'rr', ssrc: msg.readUInt32BE(offset + 4), sender: null, blocks: [] };
+      if (isSender) {
+        report.sender = {
+          ntp: { msw: msg.readUInt32BE(offset + 8), lsw: msg.readUInt32BE(offset + 12) },
+          rtpTimestamp: msg.readUInt32BE(offset + 16),
+          packets: msg.readUInt32BE(offset + 20),
+          octets: msg.readUInt32BE(offset + 24)
+        };
+      }
+      for (let i = 0; i < count; i++, cursor += 24) {
+        report.blocks.push({
+          ssrc: msg.readUInt32BE(cursor),
+          fractionLost: msg[cursor + 4],
+          cumulativeLost: msg.readIntBE(cursor + 5, 3),
+          highestSeq: msg.readUInt32BE(cursor + 8),
+          jitter: msg.readUInt32BE(cursor + 12),
+          lsr: msg.readUInt32BE(cursor + 16),
+          dlsr: msg.readUInt32BE(cursor + 20)
+        });
+      }
+      reports.push(report);
+    }
+    offset += length;
+  }
+  return offset === msg.length ? reports : null;
+}
+
+/**
+ * RTCP for one call's ExternalMedia stream, on the port above the RTP port
+ *
+ * Sends a sender report (or a receiver report while the assistant is silent) about every
+ * RTCP_INTERVAL_MS, randomized by ±50% as RFC 3550 asks, with a reception report on the caller's
+ * stream. Asterisk's reports on our stream give round-trip time, loss and jitter as seen on its side.
+ */
+class RtcpSession {
+  /**
+   * @param {string} channelId - SIP channel ID
+   * @param {number} port - Local RTCP port (RTP port + 1)
+   * @param {JitterBuffer} jitterBuffer - Receives the caller's stream, source of our reception reports
+   * @param {number} ssrc - SSRC of the call's outbound RTP stream, used in every report
+   */
+  constructor(channelId, port, jitterBuffer, ssrc) {
+    this.channelId = channelId;
+    this.port = port;
+    this.jitterBuffer = jitterBuffer;
+    this.ssrc = ssrc;
+    this.remote = null; // { address, port } of Asterisk's RTCP, learned from its first packet
+    this.lastSr = null; // { lsr, receivedAt } of Asterisk's last sender report
+    this.remoteReport = null; // Asterisk's last report block about our stream
+    this.lastSentPackets = 0;
+    this.stats = { reportsSent: 0, reportsReceived: 0, rttMs: null };
+    this.timer = null;
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('message', (msg, rinfo) => this.handlePacket(msg, rinfo));
+    this.listening = new Promise((resolve, reject) => {
+      this.socket.once('listening', resolve);
+      this.socket.once('error', reject);
+    });
+    this.socket.on('error', (err) => logger.error(`RTCP error for ${channelId}: ${err.message}`));
+    this.socket.bind(port, '127.0.0.1');
+    this.scheduleReport();
+  }
+
+  scheduleReport() {
+    const delay = config.RTCP_INTERVAL_MS * (0.5 + Math.random());
+    this.timer = setTimeout(() => {
+      this.sendReport();
+      this.scheduleReport();
+    }, delay);
+  }
+
+  /**
+   * @param {Buffer} msg - RTCP packet from Asterisk, on the RTCP port or multiplexed on the RTP port
+   * @param {Object} rinfo - Sender address
+   * @param {boolean} [muxed=false] - Arrived on the RTP port (RFC 5761)
+   */
+  handlePacket(msg, rinfo, muxed = false) {
+    const reports = parseRtcpPacket(msg);
+    if (!reports) {
+      logger.warn(`Malformed RTCP packet from ${rinfo.address}:${rinfo.port} for ${this.channelId}`);
+      return;
+    }
+    if (!this.remote && !muxed) {
+      this.remote = { address: rinfo.address, port: rinfo.port };
+      logger.info(`RTCP source assigned for ${this.channelId}: ${rinfo.address}:${rinfo.port}`);
+    }
+    const now = Date.now();
+    for (const report of reports) {
+      this.stats.reportsReceived++;
+      metrics.rtcpReportsReceived.inc({ type: report.type });
+      if (report.sender) {
+        this.lastSr = { lsr: ntpMiddle(report.sender.ntp), receivedAt: now };
+      }
+      const block = report.blocks.find(b => b.ssrc === this.ssrc);
+      if (!block) continue;
+      this.remoteReport = block;
+      if (block.lsr !== 0) {
+        const rtt = (ntpMiddle(ntpTime(now)) - block.lsr - block.dlsr) >>> 0;
+        // Anything above a minute is clock trouble or a stale LSR, not a round trip
+        if (rtt < 60 * 65536) {
+          this.stats.rttMs = Math.round(rtt / 65536 * 10000) / 10;
+          metrics.rtcpRoundTrip.observe(rtt / 65536);
+        }
+      }
+    }
+  }
+
+  sendReport() {
+    const channelData = sipMap.get(this.channelId);
+    if (!channelData || !channelData.rtpSource) {
+      return;
+    }
+    const streamHandler = channelData.streamHandler;
+    const senderInfo = streamHandler ? streamHandler.getSenderInfo() : null;
+    const now = Date.now();
+    const blocks = [];
+    const reception = this.jitterBuffer.receptionReport();
+    if (reception) {
+      blocks.push({
+        ...reception,
+        lsr: this.lastSr ? this.lastSr.lsr : 0,
+        dlsr: this.lastSr ? Math.round((now - this.lastSr.receivedAt) / 1000 * 65536) : 0
+      });
+    }
+    // A sender report only while we have sent audio since the previous report
+    const sending = senderInfo && senderInfo.packets > 0 && senderInfo.packets !== this.lastSentPackets;
+    const packet = buildRtcpReport({
+      ssrc: this.ssrc,
+      cname: `${this.channelId}@${config.ARI_APP}`,
+      sender: sending ? { ntp: ntpTime(now), ...senderInfo } : null,
+      blocks
+    });
+    this.lastSentPackets = senderInfo ? senderInfo.packets : 0;
+    const target = this.remote || { address: channelData.rtpSource.address, port: channelData.rtpSource.port + 1 };
+    this.socket.send(packet, target.port, target.address, (err) => {
+      if (err) {
+        logger.error(`Error sending RTCP report for ${this.channelId}: ${err.message}`);
+        return;
+      }
+      this.stats.reportsSent++;
+      metrics.rtcpReportsSent.inc({ type: sending ? 'sr' : 'rr' });
+    });
+  }
+
+  /**
+   * Reports exchanged and Asterisk's view of our stream
+   * @returns {Object} - { reportsSent, reportsReceived, rttMs, remoteLost, remoteLossPercent, remoteJitterMs }
+   */
+  getStats() {
+    const block = this.remoteReport;
+    const rate = this.jitterBuffer.mediaFormat.sampleRate;
+    return {
+      ...this.stats,
+      remoteLost: block ? block.cumulativeLost : null,
+      remoteLossPercent: block ? Math.round(block.fractionLost / 256 * 1000) / 10 : null,
+      remoteJitterMs: block ? Math.round(block.jitter / rate * 10000) / 10 : null
+    };
+  }
+
+  /**
+   * @param {Function} [callback] - Called once the socket is closed
+   */
+  close(callback) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.socket.close(callback);
+  }
+}
+
+module.exports = { RtcpSession, buildRtcpReport, parseRtcpPacket, ntpTime, ntpMiddle };
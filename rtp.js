@@ -1,177 +1,220 @@
 const dgram = require('dgram');
 const { EventEmitter } = require('events');
-const fs = require('fs');
-const path = require('path');
 const { config, logger } = require('./config');
 const { sipMap, rtpSenders, rtpReceivers } = require('./state');
-const { convertAsteriskToGemini, convertGeminiToAsterisk, convertAsteriskToOpenAI, convertOpenAIToAsterisk } = require('./audio-converter');
+const { MEDIA_FORMATS, decodeToPcm16, bytesForMs, audioDurationMs, isSilence } = require('./audio-converter');
+const { isRecording, recordCaller, recordAssistant } = require('./recorder');
+const { metrics } = require('./metrics');
+const { JitterBuffer } = require('./jitter-buffer');
+const { RtcpSession } = require('./rtcp');
 
 logger.info('Loading rtp.js module');
 
-// Debug: Enable audio recording for Gemini
-const RECORD_AUDIO = config.AI_PROVIDER === 'gemini' && process.env.RECORD_AUDIO === 'true';
-const recordingStreams = new Map();
-
+// RTP ports of calls, each with RTCP on the port above. A port stays here until both sockets are closed.
 const usedRtpPorts = new Set();
 const rtpEvents = new EventEmitter();
 
+// Lowest free RTP port, null when MAX_CONCURRENT_CALLS ports are in use
 function getNextRtpPort() {
-  let port = config.RTP_PORT_START;
-  while (usedRtpPorts.has(port)) port += 2;
   if (usedRtpPorts.size >= config.MAX_CONCURRENT_CALLS) {
-    logger.warn('Maximum concurrent calls reached, reusing oldest port');
-    const oldestPort = Math.min(...usedRtpPorts);
-    usedRtpPorts.delete(oldestPort);
-    return oldestPort;
+    return null;
   }
+  let port = config.RTP_PORT_START;
+  while (usedRtpPorts.has(port)) port += 2;
   usedRtpPorts.add(port);
+  metrics.rtpPortsInUse.set(usedRtpPorts.size);
   return port;
 }
 
 function releaseRtpPort(port) {
-  usedRtpPorts.delete(port);
+  if (!usedRtpPorts.delete(port)) {
+    return;
+  }
+  metrics.rtpPortsInUse.set(usedRtpPorts.size);
+  rtpEvents.emit('portReleased', port);
+}
+
+// RTP header (RFC 3550): 12 fixed bytes, CSRC list, optional header extension, padding at the end
+function parseRtpPacket(msg) {
+  if (msg.length < 12 || msg[0] >> 6 !== 2) {
+    return null;
+  }
+  const csrcCount = msg[0] & 0x0F;
+  let offset = 12 + csrcCount * 4;
+  if (msg[0] & 0x10) {
+    if (msg.length < offset + 4) {
+      return null;
+    }
+    offset += 4 + msg.readUInt16BE(offset + 2) * 4;
+  }
+  let end = msg.length;
+  if (msg[0] & 0x20) {
+    const padding = msg[msg.length - 1];
+    if (padding === 0) {
+      return null;
+    }
+    end -= padding;
+  }
+  if (offset > end) {
+    return null;
+  }
+  const csrcs = [];
+  for (let i = 0; i < csrcCount; i++) {
+    csrcs.push(msg.readUInt32BE(12 + i * 4));
+  }
+  return {
+    marker: Boolean(msg[1] & 0x80),
+    payloadType: msg[1] & 0x7F,
+    sequenceNumber: msg.readUInt16BE(2),
+    timestamp: msg.readUInt32BE(4),
+    ssrc: msg.readUInt32BE(8),
+    csrcs,
+    payload: msg.subarray(offset, end)
+  };
 }
 
+// Resolves once the RTP (and RTCP) sockets listen. The port goes back to the pool when they close.
 function startRTPReceiver(channelId, port) {
   const rtpReceiver = dgram.createSocket('udp4');
   rtpReceiver.isOpen = true;
   rtpReceivers.set(channelId, rtpReceiver);
-
-  // Create recording streams if enabled
-  if (RECORD_AUDIO) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const recordingDir = path.join(__dirname, 'recordings');
-
-    // Create recordings directory if it doesn't exist
-    if (!fs.existsSync(recordingDir)) {
-      fs.mkdirSync(recordingDir, { recursive: true });
+  const mediaFormat = (sipMap.get(channelId) && sipMap.get(channelId).mediaFormat) || MEDIA_FORMATS.ulaw;
+  const jitterBuffer = new JitterBuffer({ mediaFormat, maxDelayMs: config.JITTER_BUFFER_MAX_MS });
+  // One SSRC for the call's outbound RTP and its RTCP reports, from the first report on
+  const ssrc = Math.floor(Math.random() * 4294967295);
+  // RTCP on the odd port above the RTP port, which the port pool leaves free
+  const rtcp = config.RTCP_INTERVAL_MS > 0 ? new RtcpSession(channelId, port + 1, jitterBuffer, ssrc) : null;
+  if (sipMap.has(channelId)) {
+    sipMap.get(channelId).jitterBuffer = jitterBuffer;
+    sipMap.get(channelId).rtcp = rtcp;
+    sipMap.get(channelId).rtpSsrc = ssrc;
+  }
+  let lastDropWarnTime = 0;
+
+  function dropPacket(reason) {
+    metrics.rtpPacketsDropped.inc({ reason });
+    const now = Date.now();
+    if (now - lastDropWarnTime >= 1000) {
+      logger.warn(`Dropping RTP packet for ${channelId}: ${reason.replace('_', ' ')}`);
+      lastDropWarnTime = now;
     }
-
-    const mulawFile = path.join(recordingDir, `${channelId}_${timestamp}_mulaw.raw`);
-    const pcmFile = path.join(recordingDir, `${channelId}_${timestamp}_pcm16k.raw`);
-
-    const mulawStream = fs.createWriteStream(mulawFile);
-    const pcmStream = fs.createWriteStream(pcmFile);
-
-    recordingStreams.set(channelId, { mulawStream, pcmStream, mulawFile, pcmFile });
-    logger.info(`[Recording] Started recording for ${channelId}:`);
-    logger.info(`[Recording]   μ-law: ${mulawFile}`);
-    logger.info(`[Recording]   PCM16k: ${pcmFile}`);
   }
 
   rtpReceiver.on('listening', () => logger.info(`RTP Receiver for ${channelId} listening on 127.0.0.1:${port}`));
   rtpReceiver.on('message', (msg, rinfo) => {
+    // RTCP multiplexed on the RTP port (RFC 5761) is told apart by its packet type
+    if (msg.length >= 8 && msg[1] >= 200 && msg[1] <= 204) {
+      if (rtcp) {
+        rtcp.handlePacket(msg, rinfo, true);
+      }
+      return;
+    }
+    metrics.rtpPacketsReceived.inc();
+    const packet = parseRtpPacket(msg);
+    if (!packet) {
+      dropPacket('malformed');
+      return;
+    }
     const channelData = sipMap.get(channelId);
     if (channelData && !channelData.rtpSource) {
       channelData.rtpSource = { address: rinfo.address, port: rinfo.port };
+      // Audio sent back uses the payload type Asterisk chose for the format
+      channelData.rtpPayloadType = packet.payloadType;
       sipMap.set(channelId, channelData);
-      logger.info(`RTP source assigned for ${channelId}: ${rinfo.address}:${rinfo.port}`);
+      logger.info(`RTP source assigned for ${channelId}: ${rinfo.address}:${rinfo.port}, payload type ${channelData.rtpPayloadType}`);
     }
-    if (channelData && channelData.ws && channelData.ws.readyState === 1) {
-      const muLawData = msg.slice(12);
-
-      // Gemini requires audio conversion, OpenAI uses original format
-      if (config.AI_PROVIDER === 'gemini') {
-        // Record raw audio if enabled
-        if (RECORD_AUDIO && recordingStreams.has(channelId)) {
-          const streams = recordingStreams.get(channelId);
-          streams.mulawStream.write(muLawData);
-        }
-
-        const pcm16k = convertAsteriskToGemini(muLawData);
-
-        // Record converted PCM audio if enabled
-        if (RECORD_AUDIO && recordingStreams.has(channelId)) {
-          const streams = recordingStreams.get(channelId);
-          streams.pcmStream.write(pcm16k);
-        }
-
-        const message = {
-          realtimeInput: {
-            mediaChunks: [{
-              mimeType: 'audio/pcm;rate=16000',
-              data: pcm16k.toString('base64')
-            }]
-          }
-        };
-        logger.debug(`[RTP→Gemini] Sending audio: μ-law ${muLawData.length} bytes → PCM ${pcm16k.length} bytes, base64 length: ${pcm16k.toString('base64').length} for ${channelId}`);
-
-        // Log first message structure for verification
-        if (!channelData._geminiFirstAudioLogged) {
-          logger.info(`[Gemini] First audio message structure: ${JSON.stringify(message).substring(0, 200)}...`);
-          channelData._geminiFirstAudioLogged = true;
-          sipMap.set(channelId, channelData);
-        }
-
-        channelData.ws.send(JSON.stringify(message));
-      } else {
-        // OpenAI - original working code unchanged
-        channelData.ws.send(JSON.stringify({ type: 'input_audio_buffer.append', audio: muLawData.toString('base64') }));
+    if (channelData && packet.payloadType !== channelData.rtpPayloadType) {
+      dropPacket('payload_type');
+      return;
+    }
+    for (const payload of jitterBuffer.push(packet)) {
+      if (isRecording(channelId)) {
+        recordCaller(channelId, decodeToPcm16(payload, mediaFormat));
+      }
+      // The local VAD may hold back audio outside speech, each provider converts the rest to its own input format
+      const upstream = channelData && channelData.vad ? channelData.vad.process(payload) : [payload];
+      if (channelData && channelData.provider) {
+        upstream.forEach(audio => channelData.provider.sendCallerAudio(audio));
       }
-    } else if (channelData && config.AI_PROVIDER === 'gemini') {
-      logger.debug(`[RTP] Cannot send audio for ${channelId}: ws=${!!channelData.ws}, readyState=${channelData.ws?.readyState || 'none'}`);
     }
   });
-  rtpReceiver.on('error', (err) => logger.error(`RTP Receiver error for ${channelId}: ${err.message}`));
-
   rtpReceiver.on('close', () => {
-    // Close recording streams when receiver closes
-    if (RECORD_AUDIO && recordingStreams.has(channelId)) {
-      const streams = recordingStreams.get(channelId);
-      streams.mulawStream.end();
-      streams.pcmStream.end();
-      logger.info(`[Recording] Stopped recording for ${channelId}`);
-      logger.info(`[Recording] Files saved:`);
-      logger.info(`[Recording]   μ-law (8kHz): ${streams.mulawFile}`);
-      logger.info(`[Recording]   PCM (16kHz): ${streams.pcmFile}`);
-      logger.info(`[Recording] To play μ-law: ffplay -f mulaw -ar 8000 -ac 1 ${streams.mulawFile}`);
-      logger.info(`[Recording] To play PCM: ffplay -f s16le -ar 16000 -ac 1 ${streams.pcmFile}`);
-      recordingStreams.delete(channelId);
+    if (rtcp) {
+      rtcp.close(() => releaseRtpPort(port));
+      const { reportsSent, reportsReceived, rttMs, remoteLost, remoteJitterMs } = rtcp.getStats();
+      logger.info(`RTCP for ${channelId}: ${reportsSent} reports sent, ${reportsReceived} received, RTT ${rttMs !== null ? `${rttMs}ms` : 'unknown'}, lost at Asterisk ${remoteLost !== null ? remoteLost : 'unknown'}, jitter at Asterisk ${remoteJitterMs !== null ? `${remoteJitterMs}ms` : 'unknown'}`);
+    }
+    const stats = jitterBuffer.getStats();
+    metrics.rtpPacketsLost.inc({}, stats.lost);
+    metrics.rtpPacketsReordered.inc({}, stats.reordered);
+    metrics.rtpPacketsDropped.inc({ reason: 'duplicate' }, stats.duplicates);
+    metrics.rtpPacketsDropped.inc({ reason: 'late' }, stats.late);
+    if (stats.received > 0) {
+      metrics.rtpJitter.observe(stats.jitterMs / 1000);
+    }
+    logger.info(`Caller RTP for ${channelId}: ${stats.received} packets, ${stats.lost} lost (${stats.lossPercent}%), ${stats.reordered} reordered, ${stats.duplicates} duplicates, ${stats.late} late, jitter ${stats.jitterMs}ms (max ${stats.maxJitterMs}ms)`);
+    if (!rtcp) {
+      releaseRtpPort(port);
     }
   });
-
+  const listening = new Promise((resolve, reject) => {
+    rtpReceiver.once('listening', resolve);
+    rtpReceiver.once('error', reject);
+  });
+  rtpReceiver.on('error', (err) => logger.error(`RTP Receiver error for ${channelId}: ${err.message}`));
   rtpReceiver.bind(port, '127.0.0.1');
+  return Promise.all([listening, rtcp ? rtcp.listening : null]);
 }
 
-function buildRTPHeader(seq, timestamp, ssrc) {
+function buildRTPHeader(seq, timestamp, ssrc, payloadType = 0, marker = false) {
   const header = Buffer.alloc(12);
   header[0] = 0x80;
-  header[1] = 0x00;
+  header[1] = (marker ? 0x80 : 0) | (payloadType & 0x7F);
   header.writeUInt16BE(seq, 2);
   header.writeUInt32BE(timestamp, 4);
   header.writeUInt32BE(ssrc, 8);
   return header;
 }
 
-async function streamAudio(channelId, rtpSource) {
-  logger.info(`Initializing RTP stream to ${rtpSource.address}:${rtpSource.port} for ${channelId}`);
+async function streamAudio(channelId, rtpSource, mediaFormat = MEDIA_FORMATS.ulaw) {
+  logger.info(`Initializing RTP stream to ${rtpSource.address}:${rtpSource.port} for ${channelId} (${mediaFormat.name})`);
   let audioBuffer = Buffer.alloc(0);
   let rtpSequence = Math.floor(Math.random() * 65535);
-  let rtpTimestamp = 0;
-  const rtpSsrc = Math.floor(Math.random() * 4294967295);
+  let rtpTimestamp = Math.floor(Math.random() * 4294967295);
+  let lastTimestamp = null;
+  let lastPacketTime = null;
+  let talkspurtStart = true;
+  // The SSRC the call's RTCP reports already use
+  const rtpSsrc = sipMap.has(channelId) && sipMap.get(channelId).rtpSsrc !== undefined
+    ? sipMap.get(channelId).rtpSsrc : Math.floor(Math.random() * 4294967295);
   let totalPacketsSent = 0;
-  const maxBufferSize = 640;
-  const samplesPerPacket = 160;
+  const bytesPerPacket = bytesForMs(mediaFormat, 20);
+  const samplesPerPacket = mediaFormat.sampleRate / 50;
+  const maxBufferSize = bytesPerPacket * 4;
   let lastBufferWarnTime = 0;
   let totalBytesSent = 0;
   let isSocketClosed = false;
   const ptimeStats = { count: 0, sum: 0, min: Infinity, max: -Infinity, lastTime: null };
   let packetsPerSecond = 0;
   let lastSecond = Date.now();
-  let packetQueue = [];
+  const packetQueue = [];
+  // Milliseconds of each provider audio item that have left the queue, for truncation on barge-in
+  const playedMs = new Map();
   let intervalId = null;
+  let muted = false;
 
   const rtpSender = dgram.createSocket('udp4');
   rtpSender.isOpen = true;
   rtpSenders.set(channelId, rtpSender);
 
   function writeAudio(data) {
-    if (data.length === 0 || data.every(byte => byte === 0x7F)) {
+    if (data.length === 0 || isSilence(data, mediaFormat)) {
       logger.warn(`Received empty or silent audio for ${channelId}`);
       return false;
     }
     const freeSpace = maxBufferSize - audioBuffer.length;
     if (data.length > freeSpace) {
+      metrics.rtpBufferDiscards.inc({}, data.length - freeSpace);
       const now = Date.now();
       if (now - lastBufferWarnTime >= 1000) {
         logger.warn(`Buffer full for ${channelId}, discarding ${data.length - freeSpace} bytes`);
@@ -183,56 +226,68 @@ async function streamAudio(channelId, rtpSource) {
     return true;
   }
 
-  function sendAudioChunk(audioData, provider = 'gemini') {
+  function sendRtpPacket(packetBuffer, itemId = null) {
     if (!sipMap.has(channelId) || isSocketClosed) {
-      logger.info(`Cannot process audio chunk for ${channelId}: channel gone or socket closed`);
+      logger.info(`Cannot send RTP packet for ${channelId}: channel gone or socket closed`);
       return;
     }
-
-    // Gemini sends PCM 24kHz → convert to μ-law 8kHz
-    const mulawData = convertGeminiToAsterisk(audioData);
-
-    // Add silence padding for first chunk
-    let packetBuffer = mulawData;
-    if (totalPacketsSent === 0) {
-      const silenceDurationMs = config.SILENCE_PADDING_MS || 100;
-      const silencePackets = Math.ceil(silenceDurationMs / 20);
-      const silenceBuffer = Buffer.alloc(silencePackets * 160, 0x7F);
-      packetBuffer = Buffer.concat([silenceBuffer, mulawData]);
-      logger.info(`Prepended ${silencePackets} silence packets (${silenceDurationMs} ms) for ${channelId}`);
-    }
-
-    sendRtpPacket(packetBuffer);
-  }
-
-  function sendRtpPacket(packetBuffer) {
-    if (!sipMap.has(channelId) || isSocketClosed) {
-      logger.info(`Cannot send RTP packet for ${channelId}: channel gone or socket closed`);
+    if (muted) {
       return;
     }
     let offset = 0;
     while (offset < packetBuffer.length) {
-      let packetData = packetBuffer.slice(offset, Math.min(offset + samplesPerPacket, packetBuffer.length));
-      offset += samplesPerPacket;
-      if (packetData.length < samplesPerPacket) {
-        packetData = Buffer.concat([packetData, Buffer.alloc(samplesPerPacket - packetData.length, 0x7F)]);
+      let packetData = packetBuffer.slice(offset, Math.min(offset + bytesPerPacket, packetBuffer.length));
+      offset += bytesPerPacket;
+      const ms = audioDurationMs(mediaFormat, packetData.length);
+      if (packetData.length < bytesPerPacket) {
+        packetData = Buffer.concat([packetData, Buffer.alloc(bytesPerPacket - packetData.length, mediaFormat.silenceByte)]);
       }
-      packetQueue.push({ data: packetData, seq: rtpSequence, timestamp: rtpTimestamp });
-      rtpSequence = (rtpSequence + 1) % 65536;
-      rtpTimestamp += samplesPerPacket;
+      packetQueue.push({ data: packetData, itemId, ms });
     }
     if (!intervalId) {
       processPacketQueue();
     }
   }
 
+  // Returns the items cut short, with how much of each the caller heard
   function stopPlayback() {
     if (intervalId) {
       clearInterval(intervalId);
       intervalId = null;
     }
-    packetQueue = [];
+    const cutItems = [...new Set(packetQueue.filter(packet => packet.itemId !== null).map(packet => packet.itemId))]
+      .map(itemId => ({ itemId, playedMs: playedMs.get(itemId) || 0 }));
+    packetQueue.length = 0;
+    playedMs.clear();
     logger.info(`Playback stopped for ${channelId}`);
+    return cutItems;
+  }
+
+  function setMuted(value) {
+    muted = value;
+    if (muted) {
+      stopPlayback();
+    }
+    logger.info(`Assistant playback ${muted ? 'muted' : 'unmuted'} for ${channelId}`);
+  }
+
+  function isMuted() {
+    return muted;
+  }
+
+  function isPlaying() {
+    return intervalId !== null || packetQueue.length > 0;
+  }
+
+  // Counters and current RTP timestamp for RTCP sender reports
+  function getSenderInfo() {
+    const elapsedSamples = lastPacketTime !== null ? Math.round((Date.now() - lastPacketTime) * mediaFormat.sampleRate / 1000) : 0;
+    return {
+      ssrc: rtpSsrc,
+      packets: totalPacketsSent,
+      octets: totalBytesSent,
+      rtpTimestamp: lastTimestamp !== null ? (lastTimestamp + elapsedSamples) >>> 0 : rtpTimestamp
+    };
   }
 
   function processPacketQueue() {
@@ -241,6 +296,7 @@ async function streamAudio(channelId, rtpSource) {
     }
 
     let isFirstPacketAfterResume = !intervalId;
+    talkspurtStart = true;
     intervalId = setInterval(() => {
       if (packetQueue.length === 0) {
         clearInterval(intervalId);
@@ -258,20 +314,46 @@ async function streamAudio(channelId, rtpSource) {
         return;
       }
 
+      // Hold audio until Asterisk's first packet gives the address and payload type to use
+      const channelData = sipMap.get(channelId);
+      if (!channelData.rtpSource) {
+        return;
+      }
+
       const packet = packetQueue.shift();
+      if (packet.itemId !== null) {
+        playedMs.set(packet.itemId, (playedMs.get(packet.itemId) || 0) + packet.ms);
+      }
       const startTime = Date.now();
-      const header = buildRTPHeader(packet.seq, packet.timestamp, rtpSsrc);
+      // Sequence numbers and timestamps are given out on sending, so discarded audio leaves no gaps.
+      // A talkspurt starts with the marker bit and a timestamp that skips the silence before it.
+      const marker = talkspurtStart;
+      if (talkspurtStart && lastPacketTime !== null) {
+        const silentSamples = Math.round((startTime - lastPacketTime) * mediaFormat.sampleRate / 1000);
+        rtpTimestamp = (lastTimestamp + Math.max(samplesPerPacket, silentSamples)) >>> 0;
+      }
+      talkspurtStart = false;
+      const payloadType = config.RTP_PAYLOAD_TYPE !== null ? config.RTP_PAYLOAD_TYPE
+        : channelData.rtpPayloadType !== undefined ? channelData.rtpPayloadType : mediaFormat.payloadType;
+      const header = buildRTPHeader(rtpSequence, rtpTimestamp, rtpSsrc, payloadType, marker);
+      lastTimestamp = rtpTimestamp;
+      lastPacketTime = startTime;
+      rtpSequence = (rtpSequence + 1) % 65536;
+      rtpTimestamp = (rtpTimestamp + samplesPerPacket) >>> 0;
       const rtpPacket = Buffer.concat([header, packet.data]);
-      const channelData = sipMap.get(channelId) || {};
-      const sendPort = channelData.rtpSource ? channelData.rtpSource.port : rtpSource.port;
-      const sendAddress = channelData.rtpSource ? channelData.rtpSource.address : rtpSource.address;
+      const { port: sendPort, address: sendAddress } = channelData.rtpSource;
 
       rtpSender.send(rtpPacket, sendPort, sendAddress, (err) => {
         if (err) {
           logger.error(`Error sending RTP packet for ${channelId} to ${sendAddress}:${sendPort}: ${err.message}`);
         } else {
           totalPacketsSent++;
-          totalBytesSent += samplesPerPacket;
+          totalBytesSent += bytesPerPacket;
+          metrics.rtpPacketsSent.inc();
+          metrics.rtpBytesSent.inc({}, bytesPerPacket);
+          if (isRecording(channelId)) {
+            recordAssistant(channelId, decodeToPcm16(packet.data, mediaFormat));
+          }
           packetsPerSecond++;
           const packetTime = Date.now();
           if (packetTime - lastSecond >= 10000) {
@@ -285,8 +367,9 @@ async function streamAudio(channelId, rtpSource) {
               ptimeStats.count++;
               ptimeStats.sum += interval;
               ptimeStats.min = Math.min(ptimeStats.min, interval);
-              ptimeStats.max = Math.min(ptimeStats.max, interval);
+              ptimeStats.max = Math.max(ptimeStats.max, interval);
             } else if (interval > 60) {
+              metrics.rtpPtimeDeviations.inc();
               logger.warn(`Critical ptime deviation: ${interval.toFixed(2)}ms for packet ${totalPacketsSent}, buffer size: ${audioBuffer.length} bytes for ${channelId}`);
             }
           }
@@ -303,8 +386,10 @@ async function streamAudio(channelId, rtpSource) {
   }
 
   function endStream() {
-    const avgPtime = ptimeStats.count > 0 ? (ptimeStats.sum / ptimeStats.count).toFixed(2) : 'N/A';
-    logger.info(`RTP stream ended for ${channelId}, total packets sent: ${totalPacketsSent}, total bytes: ${totalBytesSent}, final buffer: ${audioBuffer.length} bytes, avg ptime: ${avgPtime}ms`);
+    const ptime = ptimeStats.count > 0
+      ? `${(ptimeStats.sum / ptimeStats.count).toFixed(2)}ms (min ${ptimeStats.min}ms, max ${ptimeStats.max}ms)`
+      : 'N/A';
+    logger.info(`RTP stream ended for ${channelId}, total packets sent: ${totalPacketsSent}, total bytes: ${totalBytesSent}, final buffer: ${audioBuffer.length} bytes, avg ptime: ${ptime}`);
     if (intervalId) {
       clearInterval(intervalId);
       intervalId = null;
@@ -320,11 +405,22 @@ async function streamAudio(channelId, rtpSource) {
     write: writeAudio,
     end: endStream,
     sendRtpPacket: sendRtpPacket,
-    sendAudioChunk: sendAudioChunk,
     stopPlayback: stopPlayback,
+    isPlaying: isPlaying,
+    setMuted: setMuted,
+    isMuted: isMuted,
+    getSenderInfo: getSenderInfo,
     audioBuffer,
     packetQueue
   };
 }
 
-module.exports = { startRTPReceiver, getNextRtpPort, releaseRtpPort, streamAudio, rtpEvents };
+// RTP statistics of a call: the caller's stream as received here, and under rtcp what Asterisk reports about ours
+function getRtpStats(channelData) {
+  if (!channelData.jitterBuffer) {
+    return null;
+  }
+  return { ...channelData.jitterBuffer.getStats(), rtcp: channelData.rtcp ? channelData.rtcp.getStats() : null };
+}
+
+module.exports = { parseRtpPacket, getRtpStats, startRTPReceiver, getNextRtpPort, releaseRtpPort, streamAudio, rtpEvents };
@@ -3,11 +3,14 @@ const extMap = new Map();
 const rtpSenders = new Map();
 const rtpReceivers = new Map();
 const cleanupPromises = new Map();
+// Callers waiting for a free call slot, in arrival order
+const waitingCalls = new Map();
 
 module.exports = {
   sipMap,
   extMap,
   rtpSenders,
   rtpReceivers,
-  cleanupPromises
+  cleanupPromises,
+  waitingCalls
 };
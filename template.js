@@ -0,0 +1,59 @@
+const { config, logger } = require('./config');
+const { isOpen } = require('./business-hours');
+
+/**
+ * Fill {{placeholder}} values in a prompt or message
+ * Unknown placeholders are replaced with an empty string.
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values by name
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(text, values) {
+  if (!text) return text;
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    if (values[key] === undefined || values[key] === null) {
+      logger.debug(`Template placeholder ${key} has no value`);
+      return '';
+    }
+    return String(values[key]);
+  });
+}
+
+/**
+ * Collect placeholder values for a call from its ARI channel
+ * @param {Object} channel - ARI channel from StasisStart
+ * @param {Object} [variables] - Channel variables by name (available as var.NAME)
+ * @param {Object} [stasisArgs] - Parsed Stasis arguments (available as arg.NAME)
+ * @param {Date} [now] - Call start time
+ * @returns {Object} - Placeholder values
+ */
+function buildTemplateValues(channel, variables = {}, stasisArgs = {}, now = new Date()) {
+  const caller = channel.caller || {};
+  const dialplan = channel.dialplan || {};
+  let open = null;
+  try {
+    open = isOpen(now);
+  } catch (e) {
+    logger.error(`Cannot evaluate OPENING_HOURS: ${e.message}`);
+  }
+  const values = {
+    caller_number: caller.number || '',
+    caller_name: caller.name || '',
+    extension: dialplan.exten || '',
+    context: dialplan.context || '',
+    channel_name: channel.name || '',
+    date: now.toLocaleDateString('en-US', { timeZone: config.TIMEZONE, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+    time: now.toLocaleTimeString('en-US', { timeZone: config.TIMEZONE, hour: '2-digit', minute: '2-digit' }),
+    timezone: config.TIMEZONE,
+    business_hours: open === null ? 'unknown' : (open ? 'open' : 'closed')
+  };
+  for (const [name, value] of Object.entries(variables)) {
+    values[`var.${name}`] = value;
+  }
+  for (const [name, value] of Object.entries(stasisArgs)) {
+    values[`arg.${name}`] = value;
+  }
+  return values;
+}
+
+module.exports = { renderTemplate, buildTemplateValues };
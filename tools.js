@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+
+logger.info('Loading tools.js module');
+
+// Registered tools by name: { name, description, parameters, handler }
+const tools = new Map();
+
+/**
+ * Register a tool the assistant can call during a conversation
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Function name advertised to the model
+ * @param {string} tool.description - What the tool does and when to use it
+ * @param {Object} [tool.parameters] - JSON schema for the arguments
+ * @param {Function} tool.handler - async (args, context) => result object
+ * @param {boolean} [tool.followUp=true] - Whether the model should respond after receiving the result (OpenAI only)
+ */
+function registerTool(tool) {
+  if (!tool || typeof tool.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+    throw new Error(`Invalid tool name: ${tool && tool.name}`);
+  }
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool ${tool.name} has no handler function`);
+  }
+  if (tools.has(tool.name)) {
+    logger.warn(`Tool ${tool.name} is already registered, replacing it`);
+  }
+  tools.set(tool.name, {
+    name: tool.name,
+    description: tool.description || '',
+    parameters: tool.parameters || { type: 'object', properties: {} },
+    handler: tool.handler,
+    followUp: tool.followUp !== false
+  });
+  logger.info(`Tool registered: ${tool.name}`);
+}
+
+/**
+ * Load every .js module in the tools directory
+ * @param {string} dir - Tools directory (relative paths resolve from the project root)
+ */
+function loadTools(dir = config.TOOLS_DIR) {
+  const toolsDir = path.resolve(__dirname, dir);
+  if (!fs.existsSync(toolsDir)) {
+    logger.info(`Tools directory ${toolsDir} not found, no tools loaded`);
+    return;
+  }
+  for (const file of fs.readdirSync(toolsDir).filter(f => f.endsWith('.js')).sort()) {
+    try {
+      registerTool(require(path.join(toolsDir, file)));
+    } catch (e) {
+      logger.error(`Failed to load tool from ${file}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Check whether the model should be asked to respond after a tool result
+ * @param {string} name - Tool name
+ * @returns {boolean}
+ */
+function shouldFollowUp(name) {
+  const tool = tools.get(name);
+  return !tool || tool.followUp;
+}
+
+/**
+ * Tool definitions in OpenAI Realtime session format
+ * @returns {Array<Object>}
+ */
+function getOpenAITools() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({
+    type: 'function',
+    name,
+    description,
+    parameters
+  }));
+}
+
+/**
+ * Tool definitions in Gemini Live setup format
+ * Gemini rejects object schemas without properties, so argument-less tools omit parameters.
+ * @returns {Array<Object>} - Empty when no tools are registered
+ */
+function getGeminiTools() {
+  if (tools.size === 0) return [];
+  const functionDeclarations = [...tools.values()].map(({ name, description, parameters }) => {
+    const declaration = { name, description };
+    if (parameters.properties && Object.keys(parameters.properties).length > 0) {
+      declaration.parameters = parameters;
+    }
+    return declaration;
+  });
+  return [{ functionDeclarations }];
+}
+
+/**
+ * Run a tool call requested by the model
+ * Errors are returned to the model instead of being thrown, so it can tell the caller.
+ * @param {string} name - Tool name
+ * @param {Object|string} args - Arguments object or JSON string
+ * @param {Object} context - Call context passed to the handler ({ channelId, callId, signal })
+ * @returns {Promise<Object>} - Result to send back to the model
+ */
+async function executeTool(name, args, context) {
+  const tool = tools.get(name);
+  if (!tool) {
+    logger.warn(`Unknown tool ${name} requested for ${context.channelId}`);
+    return { error: `Unknown tool: ${name}` };
+  }
+  let parsedArgs = args || {};
+  if (typeof parsedArgs === 'string') {
+    try {
+      parsedArgs = parsedArgs.trim() === '' ? {} : JSON.parse(parsedArgs);
+    } catch (e) {
+      logger.warn(`Invalid arguments for tool ${name} on ${context.channelId}: ${e.message}`);
+      return { error: `Invalid JSON arguments: ${e.message}` };
+    }
+  }
+  const startTime = Date.now();
+  try {
+    const result = await tool.handler(parsedArgs, context);
+    logger.info(`Tool ${name} completed for ${context.channelId} in ${Date.now() - startTime}ms`);
+    if (result === undefined) return { ok: true };
+    return result !== null && typeof result === 'object' && !Array.isArray(result) ? result : { result };
+  } catch (e) {
+    logger.error(`Tool ${name} failed for ${context.channelId}: ${e.message}`);
+    return { error: e.message };
+  }
+}
+
+loadTools();
+
+module.exports = { registerTool, loadTools, shouldFollowUp, getOpenAITools, getGeminiTools, executeTool };
@@ -0,0 +1,23 @@
+const { config } = require('../config');
+const { isOpen } = require('../business-hours');
+
+// Tells the assistant whether the business is open right now, based on OPENING_HOURS
+module.exports = {
+  name: 'check_opening_hours',
+  description: 'Check whether the business is currently open and get the weekly opening hours.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  handler: async () => {
+    const open = isOpen();
+    if (open === null) {
+      return { error: 'Opening hours are not configured' };
+    }
+    return {
+      open,
+      opening_hours: config.OPENING_HOURS,
+      timezone: config.TIMEZONE
+    };
+  }
+};
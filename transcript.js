@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { config, logger } = require('./config');
+
+logger.info('Loading transcript.js module');
+
+// Active transcripts by channel ID: { channelId, startTime, turns, stream, jsonlFile }
+const transcripts = new Map();
+
+/**
+ * Start recording the transcript of a call
+ * Turns are kept in memory and, when TRANSCRIPTS_ENABLED, appended to TRANSCRIPT_DIR/<channelId>.jsonl.
+ * @param {string} channelId - SIP channel ID
+ */
+function startTranscript(channelId) {
+  if (transcripts.has(channelId)) return;
+  const transcript = { channelId, startTime: new Date(), turns: [], stream: null, jsonlFile: null };
+  if (config.TRANSCRIPTS_ENABLED) {
+    try {
+      const dir = path.resolve(__dirname, config.TRANSCRIPT_DIR);
+      fs.mkdirSync(dir, { recursive: true });
+      transcript.jsonlFile = path.join(dir, `${channelId}.jsonl`);
+      transcript.stream = fs.createWriteStream(transcript.jsonlFile, { flags: 'a' });
+      transcript.stream.on('error', (e) => logger.error(`Transcript write error for ${channelId}: ${e.message}`));
+      logger.info(`Transcript started for ${channelId}: ${transcript.jsonlFile}`);
+    } catch (e) {
+      logger.error(`Failed to open transcript file for ${channelId}: ${e.message}`);
+    }
+  }
+  transcripts.set(channelId, transcript);
+}
+
+/**
+ * Add a turn to a call transcript
+ * @param {string} channelId - SIP channel ID
+ * @param {string} role - 'user', 'assistant' or 'system'
+ * @param {string} text - What was said
+ * @param {Object} [extra] - Additional fields stored with the turn (e.g. { source: 'dtmf' })
+ */
+function recordTurn(channelId, role, text, extra = {}) {
+  const transcript = transcripts.get(channelId);
+  if (!transcript || !text || text.trim() === '') return;
+  const turn = {
+    seq: transcript.turns.length + 1,
+    timestamp: new Date().toISOString(),
+    role,
+    text: text.trim(),
+    ...extra
+  };
+  transcript.turns.push(turn);
+  if (transcript.stream) {
+    transcript.stream.write(`${JSON.stringify(turn)}\n`);
+  }
+}
+
+/**
+ * Get the turns recorded so far for a call
+ * @param {string} channelId - SIP channel ID
+ * @returns {Array<Object>} - Copy of the turns, empty if the call has no transcript
+ */
+function getTranscript(channelId) {
+  const transcript = transcripts.get(channelId);
+  return transcript ? [...transcript.turns] : [];
+}
+
+function formatText(transcript) {
+  const lines = [`Call ${transcript.channelId} started ${transcript.startTime.toISOString()}`, ''];
+  for (const turn of transcript.turns) {
+    const time = turn.timestamp.substring(11, 19);
+    const speaker = { assistant: 'Assistant', system: 'System' }[turn.role] || 'User';
+    const source = turn.source ? ` (${turn.source})` : '';
+    lines.push(`[${time}] ${speaker}${source}: ${turn.text}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Close a call transcript and write the readable .txt copy next to the .jsonl file
+ * @param {string} channelId - SIP channel ID
+ * @returns {Promise<Array<Object>>} - All turns of the call
+ */
+async function closeTranscript(channelId) {
+  const transcript = transcripts.get(channelId);
+  if (!transcript) return [];
+  transcripts.delete(channelId);
+  if (transcript.stream) {
+    await new Promise(resolve => transcript.stream.end(resolve));
+    const textFile = transcript.jsonlFile.replace(/\.jsonl$/, '.txt');
+    try {
+      await fs.promises.writeFile(textFile, formatText(transcript));
+      logger.info(`Transcript saved for ${channelId}: ${transcript.turns.length} turns, ${textFile}`);
+    } catch (e) {
+      logger.error(`Failed to write transcript text for ${channelId}: ${e.message}`);
+    }
+  }
+  return transcript.turns;
+}
+
+module.exports = { startTranscript, recordTurn, getTranscript, closeTranscript };
@@ -0,0 +1,135 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./config');
+const { MEDIA_FORMATS, decodeToPcm16, audioDurationMs } = require('./audio-converter');
+const { metrics } = require('./metrics');
+
+logger.info('Loading vad.js module');
+
+// Caller audio kept while the gate is closed and sent ahead of the speech that opens it
+const PRE_ROLL_MS = 200;
+
+/**
+ * Short-term features of one frame of audio
+ * @param {Buffer} pcm - 16-bit PCM audio (little-endian)
+ * @returns {{ levelDb: number, zeroCrossingRate: number }} - RMS level in dBFS and zero crossings per sample
+ */
+function frameFeatures(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) {
+    return { levelDb: -Infinity, zeroCrossingRate: 0 };
+  }
+  let sumSquares = 0;
+  let crossings = 0;
+  let previous = pcm.readInt16LE(0);
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2);
+    sumSquares += sample * sample;
+    if ((sample >= 0) !== (previous >= 0)) {
+      crossings++;
+    }
+    previous = sample;
+  }
+  const rms = Math.sqrt(sumSquares / samples);
+  return { levelDb: rms > 0 ? 20 * Math.log10(rms / 32768) : -Infinity, zeroCrossingRate: crossings / samples };
+}
+
+/**
+ * Voice activity detection on the caller's audio, emits 'speechStart' and 'speechEnd'
+ *
+ * A frame counts as speech when it is loud enough and its zero-crossing rate is below that of
+ * hiss and line noise. Speech starts after startMs of such frames and ends after hangoverMs
+ * without them. With gate set, process() holds back caller audio outside speech: the last
+ * 200ms before speech starts are sent with it, and audio keeps flowing for gateTailMs after
+ * speech ends so the provider's own turn detection hears the pause. 'gateClosed' is emitted
+ * when the gate shuts.
+ */
+class VoiceActivityDetector extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.mediaFormat] - Format of the caller audio (default: ulaw)
+   * @param {number} [options.thresholdDb=-35] - Minimum RMS level of speech, in dBFS
+   * @param {number} [options.maxZeroCrossingRate=0.3] - Zero crossings per sample above which a frame is noise
+   * @param {number} [options.startMs=100] - Speech needed before speechStart
+   * @param {number} [options.hangoverMs=300] - Non-speech needed before speechEnd
+   * @param {boolean} [options.gate=false] - Hold back caller audio outside speech
+   * @param {number} [options.gateTailMs=1000] - Audio still sent after speechEnd
+   */
+  constructor({ mediaFormat = MEDIA_FORMATS.ulaw, thresholdDb = -35, maxZeroCrossingRate = 0.3, startMs = 100, hangoverMs = 300, gate = false, gateTailMs = 1000 } = {}) {
+    super();
+    this.mediaFormat = mediaFormat;
+    this.thresholdDb = thresholdDb;
+    this.maxZeroCrossingRate = maxZeroCrossingRate;
+    this.startMs = startMs;
+    this.hangoverMs = hangoverMs;
+    this.gate = gate;
+    this.gateTailMs = gateTailMs;
+    this.speaking = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.gateOpen = false;
+    this.tailMs = 0;
+    this.preRoll = [];
+    this.preRollMs = 0;
+  }
+
+  /**
+   * Run detection on a chunk of caller audio
+   * @param {Buffer} audio - Caller audio in mediaFormat, one RTP payload
+   * @returns {Array<Buffer>} - Audio to send to the provider: the chunk, nothing while gated, or pre-roll and chunk
+   */
+  process(audio) {
+    const ms = audioDurationMs(this.mediaFormat, audio.length);
+    const { levelDb, zeroCrossingRate } = frameFeatures(decodeToPcm16(audio, this.mediaFormat));
+    const isSpeech = levelDb >= this.thresholdDb && zeroCrossingRate <= this.maxZeroCrossingRate;
+
+    if (isSpeech) {
+      this.speechMs += ms;
+      this.silenceMs = 0;
+      if (!this.speaking && this.speechMs >= this.startMs) {
+        this.speaking = true;
+        this.emit('speechStart', { levelDb });
+      }
+    } else {
+      this.silenceMs += ms;
+      if (this.speaking && this.silenceMs >= this.hangoverMs) {
+        this.speaking = false;
+        this.speechMs = 0;
+        this.tailMs = this.gateTailMs;
+        this.emit('speechEnd');
+      } else if (!this.speaking) {
+        this.speechMs = 0;
+      }
+    }
+
+    if (!this.gate) {
+      return [audio];
+    }
+    if (this.speaking || this.speechMs > 0) {
+      // Speech, or a frame that may turn out to be its start: release what was held back
+      const chunks = [...this.preRoll, audio];
+      this.preRoll = [];
+      this.preRollMs = 0;
+      this.gateOpen = true;
+      return chunks;
+    }
+    if (this.gateOpen) {
+      this.tailMs -= ms;
+      if (this.tailMs > 0) {
+        return [audio];
+      }
+      this.gateOpen = false;
+      this.emit('gateClosed');
+    }
+    this.preRoll.push(audio);
+    this.preRollMs += ms;
+    while (this.preRollMs > PRE_ROLL_MS) {
+      const dropped = this.preRoll.shift();
+      const droppedMs = audioDurationMs(this.mediaFormat, dropped.length);
+      this.preRollMs -= droppedMs;
+      metrics.callerAudioGated.inc({}, droppedMs / 1000);
+    }
+    return [];
+  }
+}
+
+module.exports = { VoiceActivityDetector, frameFeatures };
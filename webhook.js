@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { config, logger } = require('./config');
+const { sipMap } = require('./state');
+const { registerTool } = require('./tools');
+const { getRtpStats } = require('./rtp');
+
+logger.info('Loading webhook.js module');
+
+let spoolTimer = null;
+let flushing = false;
+const pendingRecords = new Set(); // { payload, spooled } of call records still being delivered
+
+/**
+ * POST a JSON payload to the webhook URL
+ * @param {Object} payload - Body to send
+ * @returns {Promise<number>} - HTTP status code, rejects on network errors, timeouts and non-2xx responses
+ *   (with the status code as error.status)
+ */
+function postJson(payload) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(config.WEBHOOK_URL);
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    };
+    if (config.WEBHOOK_TOKEN) {
+      headers.Authorization = `Bearer ${config.WEBHOOK_TOKEN}`;
+    }
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, { method: 'POST', headers, timeout: config.WEBHOOK_TIMEOUT_MS }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res.statusCode);
+        } else {
+          const error = new Error(`HTTP ${res.statusCode}`);
+          error.status = res.statusCode;
+          reject(error);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timeout after ${config.WEBHOOK_TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Deliver a payload, retrying with exponential backoff
+ * @param {Object} payload - Body to send
+ * @param {string} label - Description for logging
+ * @returns {Promise<boolean>} - true when delivered
+ */
+async function deliver(payload, label) {
+  for (let attempt = 0; attempt <= config.WEBHOOK_MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      const delay = config.WEBHOOK_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    try {
+      const status = await postJson(payload);
+      logger.info(`Webhook delivered for ${label} (HTTP ${status})`);
+      return true;
+    } catch (e) {
+      logger.warn(`Webhook attempt ${attempt + 1}/${config.WEBHOOK_MAX_RETRIES + 1} failed for ${label}: ${e.message}`);
+    }
+  }
+  return false;
+}
+
+async function spool(payload) {
+  const dir = path.resolve(__dirname, config.WEBHOOK_SPOOL_DIR);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${payload.channelId}-${Date.now()}.json`);
+  await fs.promises.writeFile(file, JSON.stringify(payload));
+  logger.warn(`Webhook for ${payload.channelId} spooled to ${file}`);
+}
+
+// Same as spool(), for the moment before the process exits
+function spoolSync(payload) {
+  const dir = path.resolve(__dirname, config.WEBHOOK_SPOOL_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${payload.channelId}-${Date.now()}.json`);
+  fs.writeFileSync(file, JSON.stringify(payload));
+  logger.warn(`Webhook for ${payload.channelId} spooled to ${file}`);
+}
+
+// Responses that will not change on retry: the record is set aside instead of blocking the spool
+function isPermanentFailure(error) {
+  return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+}
+
+// Rename a spooled record that can never be delivered to <file>.failed, out of the retry loop
+async function setAside(filePath, reason) {
+  try {
+    await fs.promises.rename(filePath, `${filePath}.failed`);
+    logger.error(`Spooled webhook ${path.basename(filePath)} cannot be delivered (${reason}), moved to ${filePath}.failed`);
+  } catch (e) {
+    logger.error(`Failed to set aside spooled webhook ${filePath}: ${e.message}`);
+  }
+}
+
+/**
+ * Retry delivery of every spooled call record, removing the ones that succeed
+ * Unreadable records and records the endpoint rejects with a 4xx are set aside as .failed files.
+ */
+async function flushSpool() {
+  if (!config.WEBHOOK_URL || flushing) return;
+  flushing = true;
+  try {
+    await flushSpoolFiles();
+  } finally {
+    flushing = false;
+  }
+}
+
+async function flushSpoolFiles() {
+  const dir = path.resolve(__dirname, config.WEBHOOK_SPOOL_DIR);
+  let files;
+  try {
+    files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+  } catch (e) {
+    return;
+  }
+  if (files.length > 0) {
+    logger.info(`Retrying ${files.length} spooled webhook(s) from ${dir}`);
+  }
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    let payload;
+    try {
+      payload = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (e) {
+      await setAside(filePath, e.message);
+      continue;
+    }
+    try {
+      await postJson(payload);
+      await fs.promises.unlink(filePath);
+      logger.info(`Spooled webhook ${file} delivered`);
+    } catch (e) {
+      if (isPermanentFailure(e)) {
+        await setAside(filePath, e.message);
+        continue;
+      }
+      // The endpoint is down, the rest would fail the same way
+      logger.warn(`Spooled webhook ${file} still undeliverable: ${e.message}`);
+      break;
+    }
+  }
+}
+
+/**
+ * Build the post-call record for a finished call
+ * @param {Object} channelData - sipMap entry of the call
+ * @param {Array<Object>} transcript - Transcript turns
+ * @param {Date} endTime - When cleanup finished
+ * @returns {Object} - Webhook payload
+ */
+function buildCallRecord(channelData, transcript, endTime = new Date()) {
+  const callConfig = channelData.config || config;
+  const startTime = channelData.startTime || endTime;
+  const { summary, ...fields } = channelData.extractedFields || {};
+  return {
+    channelId: channelData.channelId,
+    direction: channelData.direction || 'inbound',
+    callerId: channelData.callerId || { number: '', name: '' },
+    extension: channelData.extension || '',
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    durationSeconds: Math.round((endTime - startTime) / 1000),
+    endReason: channelData.endReason || 'caller_hangup',
+    provider: callConfig.AI_PROVIDER,
+    model: channelData.provider ? channelData.provider.model : null,
+    profile: callConfig.PROFILE || null,
+    summary: summary || null,
+    fields,
+    recording: channelData.recordingFile || null,
+    rtp: getRtpStats(channelData),
+    transcript
+  };
+}
+
+/**
+ * Send the post-call record in the background, spooling it to disk if delivery fails
+ * @param {Object} channelData - sipMap entry of the call
+ * @param {Array<Object>} transcript - Transcript turns
+ * @returns {Promise<boolean>} - Settles once the record is delivered (true) or spooled (false), never rejects
+ */
+function sendCallRecord(channelData, transcript) {
+  if (!config.WEBHOOK_URL) return Promise.resolve(true);
+  const record = { payload: buildCallRecord(channelData, transcript), spooled: false };
+  const { payload } = record;
+  pendingRecords.add(record);
+  return (async () => {
+    if (await deliver(payload, payload.channelId)) {
+      return true;
+    }
+    if (!record.spooled) {
+      record.spooled = true;
+      await spool(payload);
+    }
+    return false;
+  })().catch((e) => {
+    logger.error(`Webhook error for ${payload.channelId}: ${e.message}`);
+    return false;
+  }).finally(() => pendingRecords.delete(record));
+}
+
+/**
+ * Write every call record still being delivered to the spool, before the process exits
+ * They are sent at the next start, a record delivered in the meantime may be sent twice.
+ */
+function spoolPendingRecords() {
+  for (const record of pendingRecords) {
+    if (record.spooled) continue;
+    record.spooled = true;
+    try {
+      spoolSync(record.payload);
+    } catch (e) {
+      logger.error(`Webhook for ${record.payload.channelId} lost, spooling failed: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Register the save_call_details tool so the model can fill the summary and WEBHOOK_EXTRACT_FIELDS
+ */
+function registerCallDetailsTool() {
+  if (!config.WEBHOOK_URL) return;
+  const properties = {
+    summary: { type: 'string', description: 'One or two sentence summary of the call' }
+  };
+  for (const field of config.WEBHOOK_EXTRACT_FIELDS) {
+    properties[field] = { type: 'string', description: `Caller's ${field.replace(/_/g, ' ')}, if given` };
+  }
+  registerTool({
+    name: 'save_call_details',
+    description: 'Save a summary of the call and the details collected from the caller. Call this before the call ends, and again if details change.',
+    parameters: { type: 'object', properties },
+    followUp: false,
+    handler: async (args, { channelId }) => {
+      const channelData = sipMap.get(channelId);
+      if (!channelData) {
+        return { error: 'Call is no longer active' };
+      }
+      const allowed = Object.keys(properties);
+      const fields = Object.fromEntries(Object.entries(args).filter(([key]) => allowed.includes(key)));
+      channelData.extractedFields = { ...channelData.extractedFields, ...fields };
+      return { saved: Object.keys(fields) };
+    }
+  });
+}
+
+/**
+ * Start periodic delivery of spooled call records
+ */
+function startSpoolRetry() {
+  if (!config.WEBHOOK_URL || spoolTimer) return;
+  flushSpool().catch(e => logger.error(`Webhook spool error: ${e.message}`));
+  spoolTimer = setInterval(() => {
+    flushSpool().catch(e => logger.error(`Webhook spool error: ${e.message}`));
+  }, config.WEBHOOK_SPOOL_RETRY_INTERVAL_MS);
+  spoolTimer.unref();
+}
+
+module.exports = { buildCallRecord, sendCallRecord, spoolPendingRecords, flushSpool, startSpoolRetry, registerCallDetailsTool };